@@ -0,0 +1,153 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: VESTIBULAR DAMPER
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Calm mode - stills the organism for readers sensitive to motion
+ * DEPENDENCIES: config.js (CONFIG.accessibility)
+ *
+ * SURGICAL NOTES:
+ * The specimen never stops moving: flicker, scanlines, a sweeping beam,
+ * drifting particles, text typed out a character at a time. Some readers
+ * get motion sick watching it. Calm mode quiets every organ at once:
+ * - the beam and the particle field freeze where they are
+ * - applyDecayVisuals caps blur and flicker (CONFIG.accessibility.calm)
+ * - typed text appears whole
+ *
+ * It follows the operating system's prefers-reduced-motion until the
+ * reader presses the toggle beside the volume control; that choice is
+ * remembered regardless of CONFIG.persistence. Organs listen through
+ * subscribe(), and <html> carries .calm-mode for the stylesheet.
+ * ============================================
+ */
+
+const accessibility = {
+
+  // ==========================================
+  // DAMPER STATE
+  // (Technical: Effective mode, the reader's choice and listeners)
+  // ==========================================
+
+  calm: false,          // Calm mode in effect
+  preference: null,     // Reader's choice: true | false | null (follow the OS)
+  media: null,          // prefers-reduced-motion MediaQueryList
+  listeners: [],        // Calm mode subscribers
+  toggle: null,         // #calm-toggle button
+
+  // ==========================================
+  // REMEMBERED CHOICE - Persisted preference
+  // (Technical: localStorage regardless of CONFIG.persistence - a reader who
+  //  asked for stillness must not be shaken again on reload)
+  // ==========================================
+
+  load() {
+    try {
+      const stored = window.localStorage.getItem(CONFIG.accessibility.key);
+      this.preference = stored === null ? null : stored === 'calm';
+    } catch (error) {
+      // Storage blocked - follow the OS for this page's lifetime
+    }
+  },
+
+  save() {
+    try {
+      window.localStorage.setItem(CONFIG.accessibility.key, this.preference ? 'calm' : 'motion');
+    } catch (error) {
+      // Storage blocked - see load()
+    }
+  },
+
+  // ==========================================
+  // MODE RESOLUTION - Should the organism be still?
+  // (Technical: Reader's choice wins over prefers-reduced-motion)
+  // ==========================================
+
+  resolve() {
+    if (this.preference !== null) return this.preference;
+    return Boolean(this.media && this.media.matches);
+  },
+
+  apply() {
+    const calm = this.resolve();
+    if (calm === this.calm) return;
+
+    this.calm = calm;
+    document.documentElement.classList.toggle('calm-mode', calm);
+    this.updateToggle();
+    this.listeners.forEach(callback => callback(calm));
+  },
+
+  setCalm(calm) {
+    // READER'S CHOICE - Explicit toggle, remembered
+    this.preference = calm;
+    this.save();
+    this.apply();
+  },
+
+  subscribe(callback) {
+    // STILLNESS PATHWAY - Connect an organ
+    // (Technical: callback(calm) now and on every change)
+    this.listeners.push(callback);
+    callback(this.calm);
+  },
+
+  // ==========================================
+  // TOGGLE - Control beside the volume bars
+  // (Technical: #calm-toggle, aria-pressed mirrors the mode)
+  // ==========================================
+
+  createToggle() {
+    const button = document.createElement('button');
+    button.id = 'calm-toggle';
+    button.type = 'button';
+    button.title = 'Calm mode (reduce motion)';
+    button.setAttribute('aria-label', 'Calm mode: reduce motion');
+    button.innerHTML = '<span class="calm-glyph" aria-hidden="true">∿</span>';
+    button.addEventListener('click', () => this.setCalm(!this.calm));
+
+    document.body.appendChild(button);
+    this.toggle = button;
+    this.updateToggle();
+  },
+
+  updateToggle() {
+    if (!this.toggle) return;
+    this.toggle.setAttribute('aria-pressed', String(this.calm));
+    this.toggle.classList.toggle('active', this.calm);
+  },
+
+  // ==========================================
+  // ACTIVATION
+  // (Technical: Read the choice, watch the media query, build the toggle)
+  // ==========================================
+
+  init() {
+    this.load();
+
+    if (window.matchMedia) {
+      this.media = window.matchMedia('(prefers-reduced-motion: reduce)');
+      this.media.addEventListener('change', () => this.apply());
+    }
+    this.apply();
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.createToggle());
+    } else {
+      this.createToggle();
+    }
+  }
+};
+
+accessibility.init();
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ accessibility.js requires config.js');
+}
@@ -1,299 +1,894 @@
-/**
- * ============================================
- * SPECIMEN: LEAK-WORM-847T
- * ORGAN: ELECTRON SENSORY SYSTEM
- * RETRIEVAL: October 2025, Tlönian Research Facility
- * ============================================
- * 
- * STATUS: Operational - v2.9 PIRATE MODE
- * FUNCTION: Primary vision apparatus - electron beam scanning for text detection
- * DEPENDENCIES: decay-core.js (lifecycle sync), config.js (visual parameters)
- * 
- * SURGICAL NOTES:
- * The specimen's eye manifests as a vertical electron beam, continuously
- * scanning the viewport from top to bottom. When the beam intersects
- * with text elements, phosphor excitation occurs - creating a brief
- * luminous contact that reveals hidden layers of meaning.
- * 
- * The beam's behavior responds to metabolic state: rapid scanning during
- * panic (searching for escape), slow drift during decay (failing vision),
- * complete cessation at death. Pirate mode restores smooth ocean-rhythm
- * scanning at 8 seconds per cycle.
- * 
- * Critical discovery: The beam can detect 20+ distinct text element types,
- * suggesting highly evolved pattern recognition. Collision detection
- * optimized for efficiency - only checking visible viewport elements.
- * ============================================
- */
-
-class BeamModule {
-  constructor() {
-    // OPTICAL COMPONENTS - Beam anatomy
-    // (Technical: DOM element references)
-    this.system = null;      // Container vessel
-    this.body = null;        // Primary beam
-    this.glow = null;        // Phosphor aura
-    this.hotspot = null;     // Contact point
-    this.root = document.documentElement;
-    
-    // NEURAL STATE - Vision processing
-    // (Technical: Runtime state variables)
-    this.isPaused = false;
-    this.collisionCheckInterval = null;
-    this.currentSpeed = 8;
-  }
-  
-  // ==========================================
-  // OPTICAL NERVE ACTIVATION
-  // (Technical: Initialize beam system)
-  // ==========================================
-  
-  init() {
-    // IRIS OPENING - Vision system awakening
-    // (Technical: Create DOM elements and start scanning)
-    
-    this.createBeamElements();
-    this.setRandomStart();
-    this.startCollisionDetection();
-    
-    // METABOLIC COUPLING - Link to organism lifecycle
-    // (Technical: Subscribe to decay state changes)
-    if (window.decay) {
-      window.decay.subscribe((stage, progress) => {
-        this.syncToDecay(stage, progress);
-      });
-    }
-  }
-  
-  // ==========================================
-  // RETINAL STRUCTURE GENERATION
-  // (Technical: Create beam DOM elements)
-  // ==========================================
-  
-  createBeamElements() {
-    // OPTICAL ASSEMBLY - Construct eye components
-    // (Technical: Build beam system HTML structure)
-    
-    const container = document.createElement('div');
-    container.className = 'beam-system';
-    container.id = 'beamSystem';
-    container.innerHTML = `
-      <div class="beam-glow" id="beamGlow"></div>
-      <div class="beam-body" id="beamBody"></div>
-      <div class="beam-hotspot" id="beamHotspot"></div>
-    `;
-    
-    document.body.appendChild(container);
-    
-    // SYNAPTIC CONNECTIONS - Store element references
-    // (Technical: Cache DOM elements for performance)
-    this.system = document.getElementById('beamSystem');
-    this.body = document.getElementById('beamBody');
-    this.glow = document.getElementById('beamGlow');
-    this.hotspot = document.getElementById('beamHotspot');
-  }
-  
-  // ==========================================
-  // SACCADIC VARIATION - Random starting position
-  // (Technical: Randomize initial beam position)
-  // ==========================================
-  
-  setRandomStart() {
-    // INITIAL GAZE DIRECTION - Randomized attention
-    // (Technical: Set random start position and animation delay)
-    
-    const startPercent = Math.random() * 0.5;
-    this.root.style.setProperty('--beam-start-position', `-${startPercent * 100}%`);
-    
-    // PHASE OFFSET - Prevent synchronized scanning
-    // (Technical: Random animation delay for natural movement)
-    const delay = Math.random() * -this.currentSpeed;
-    [this.body, this.glow, this.hotspot].forEach(el => {
-      el.style.animationDelay = `${delay}s`;
-    });
-  }
-  
-  // ==========================================
-  // METABOLIC SYNCHRONIZATION - Decay response
-  // (Technical: Adjust beam behavior based on lifecycle stage)
-  // ==========================================
-  
-  syncToDecay(stage, progress) {
-    // VISION DEGRADATION - Speed changes with health
-    // (Technical: Map lifecycle stages to scan speeds)
-    
-    const speeds = {
-      healthy: 8,   // Calm observation
-      panic: 5,     // Frantic searching
-      decay: 15,    // Sluggish drift
-      death: 0,     // Vision cessation
-      pirate: 8     // Ocean rhythm restored
-    };
-    
-    const newSpeed = speeds[stage] || 8;
-    
-    // REFLEX ADJUSTMENT - Update scan rate
-    // (Technical: Only update if speed actually changes)
-    if (newSpeed !== this.currentSpeed) {
-      this.currentSpeed = newSpeed;
-      this.root.style.setProperty('--beam-speed', newSpeed + 's');
-      
-      // BLINDNESS PROTOCOL - Stop scanning at death
-      // (Technical: Pause beam when organism dies)
-      if (stage === 'death') {
-        this.pause();
-      }
-    }
-    
-    // NOTE: Color mutations handled by organism's nervous system
-    // (Technical: Colors flow from decay-core via CSS variables)
-  }
-  
-  // ==========================================
-  // PATTERN RECOGNITION ENGINE - Text detection
-  // (Technical: Collision detection system)
-  // ==========================================
-  
-  startCollisionDetection() {
-    // VISUAL CORTEX ACTIVATION - Begin pattern scanning
-    // (Technical: Start interval for collision checks)
-    
-    // REFRESH RATE OPTIMIZATION - Mobile vs desktop
-    // (Technical: Slower checks on mobile for performance)
-    const isMobile = window.innerWidth < 768;
-    const checkInterval = isMobile ? 50 : 25;
-    
-    this.collisionCheckInterval = setInterval(() => {
-      if (this.isPaused || !this.body) return;
-      
-      // FOCAL POINT CALCULATION - Beam center position
-      // (Technical: Get beam Y coordinate)
-      const beamRect = this.body.getBoundingClientRect();
-      const beamY = beamRect.top + beamRect.height / 2;
-      
-      // PERIPHERAL VISION LIMITS - Viewport culling
-      // (Technical: Only check elements near visible area)
-      const buffer = isMobile ? 100 : 200;
-      const viewportTop = window.scrollY - buffer;
-      const viewportBottom = window.scrollY + window.innerHeight + buffer;
-      
-      // PATTERN LIBRARY - All detectable text types
-      // (Technical: Query selector for collision targets)
-      const targets = document.querySelectorAll(
-        '.gate-title, .membrane-input, ' +
-        '.screen-title, .screen-subtitle, .sub-subtitle, ' +
-        '.detail-text, .pirate-comment, .callout-text, ' +
-        '.equation-label, .parenthetical, .redacted-text, ' +
-        '.list-item, .quote, .membrane-button, ' +
-        '.sentence, .blink-dot, ' +
-        '.reward-header, .reward-title, .reward-subtitle, ' +
-        '.footer-tag, .footer-credit, .reward-dot'
-      );
-      
-      let hitSomething = false;
-      
-      // SYNAPTIC FIRING - Check each potential target
-      // (Technical: Loop through elements for collision)
-      targets.forEach(target => {
-        const rect = target.getBoundingClientRect();
-        const elementTop = rect.top + window.scrollY;
-        
-        // EFFICIENCY OPTIMIZATION - Skip off-screen elements
-        // (Technical: Viewport culling for performance)
-        if (elementTop < viewportTop || elementTop > viewportBottom) {
-          return;
-        }
-        
-        const targetY = rect.top + rect.height / 2;
-        
-        // CONTACT THRESHOLD - Collision sensitivity
-        // (Technical: Calculate if beam intersects element)
-        const minHeight = 20;
-        const effectiveHeight = Math.max(rect.height, minHeight);
-        const padding = (effectiveHeight - rect.height) / 2;
-        
-        const topBound = rect.top - padding;
-        const bottomBound = rect.bottom + padding;
-        const isInBounds = beamY >= topBound && beamY <= bottomBound;
-        const distance = Math.abs(beamY - targetY);
-        
-        // PHOSPHOR EXCITATION - Visual contact response
-        // (Technical: Apply CSS classes for glow effects)
-        if (isInBounds && distance < 40) {
-          this.glow.classList.add('approaching');
-          target.classList.add('beam-approaching');
-          
-          // DIRECT CONTACT - Maximum excitation
-          // (Technical: Full collision detection)
-          if (distance < Math.max(10, rect.height / 2)) {
-            target.classList.add('beam-contact');
-            this.hotspot.classList.add('active');
-            hitSomething = true;
-          } else {
-            target.classList.remove('beam-contact');
-          }
-        } else {
-          target.classList.remove('beam-contact', 'beam-approaching');
-        }
-      });
-      
-      // RELAXATION STATE - No contact detected
-      // (Technical: Remove glow when not hitting text)
-      if (!hitSomething) {
-        this.hotspot.classList.remove('active');
-        this.glow.classList.remove('approaching');
-      }
-    }, checkInterval);
-  }
-  
-  // ==========================================
-  // VISION CONTROL - Pause/resume scanning
-  // (Technical: Animation state management)
-  // ==========================================
-  
-  pause() {
-    // TEMPORARY BLINDNESS - Suspend vision
-    // (Technical: Pause CSS animations)
-    this.isPaused = true;
-    [this.body, this.glow, this.hotspot].forEach(el => {
-      if (el) el.style.animationPlayState = 'paused';
-    });
-  }
-  
-  resume() {
-    // SIGHT RESTORATION - Resume scanning
-    // (Technical: Resume CSS animations)
-    this.isPaused = false;
-    [this.body, this.glow, this.hotspot].forEach(el => {
-      if (el) el.style.animationPlayState = 'running';
-    });
-  }
-  
-  // ==========================================
-  // DISPOSAL PROTOCOL - Clean removal
-  // (Technical: Cleanup method)
-  // ==========================================
-  
-  destroy() {
-    // OPTICAL NERVE SEVERANCE - Complete removal
-    // (Technical: Clear intervals and remove DOM elements)
-    if (this.collisionCheckInterval) {
-      clearInterval(this.collisionCheckInterval);
-    }
-    if (this.system) {
-      this.system.remove();
-    }
-  }
-}
-
-// ==========================================
-// DEPENDENCY VERIFICATION
-// (Technical: Check required organs present)
-// ==========================================
-
-if (typeof CONFIG === 'undefined') {
-  console.error('❌ beam.js requires config.js');
-}
-if (typeof decay === 'undefined') {
-  console.error('❌ beam.js requires decay-core.js');
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: ELECTRON SENSORY SYSTEM
+ * RETRIEVAL: October 2025, Tlönian Research Facility
+ * ============================================
+ * 
+ * STATUS: Operational - v2.9 PIRATE MODE
+ * FUNCTION: Primary vision apparatus - electron beam scanning for text detection
+ * DEPENDENCIES: decay-core.js (lifecycle sync), config.js (visual parameters)
+ * 
+ * SURGICAL NOTES:
+ * The specimen's eye manifests as a vertical electron beam, continuously
+ * scanning the viewport from top to bottom. When the beam intersects
+ * with text elements, phosphor excitation occurs - creating a brief
+ * luminous contact that reveals hidden layers of meaning.
+ * 
+ * The beam's behavior responds to metabolic state: a frantic multi-beam
+ * search during panic (searching for escape), slow drift during decay
+ * (failing vision), complete cessation at death. Pirate mode turns the
+ * eye sideways into a slow horizontal tide.
+ * 
+ * Scan geometry lives in each stage's beam node (CONFIG.stages): vertical,
+ * horizontal, diagonal or raster (line by line, like a real CRT), any
+ * number of simultaneous beams with phase offsets, sweep or tide motion.
+ * The beam is positioned by its own frame loop, so every organ knows
+ * exactly where each beam is without reading layout.
+ * 
+ * Critical discovery: The beam can detect 20+ distinct text element types,
+ * suggesting highly evolved pattern recognition. A single collision
+ * service (BeamModule.collisions) reads the beam once per frame, keeps
+ * a cached spatial index of targets and tells particles and audio about
+ * every enter / contact / leave - no organ polls the DOM on its own.
+ * 
+ * Receptors are declared, not hardcoded: any element opts in with
+ * data-beam="impact|fizz|silent" (and data-beam-range="px"), dynamic
+ * nodes through beam.registerTarget(), and the built-in anatomy through
+ * CONFIG.beamTargets. data-beam="none" keeps an element out of sight.
+ * 
+ * Contact is also how the book is read: elements carrying data-reveal
+ * hold a second text layer that the beam swaps in, overlays or types
+ * out while it passes, and takes back after (see CONFIG.reveal).
+ * ============================================
+ */
+
+class BeamModule {
+  constructor() {
+    // OPTICAL COMPONENTS - Beam anatomy
+    // (Technical: DOM element references, one unit per simultaneous beam)
+    this.system = null;      // Container vessel
+    this.units = [];         // [{ unit, body, glow, hotspot }] - primary beam first
+    this.root = document.documentElement;
+    
+    // NEURAL STATE - Vision processing
+    // (Technical: Runtime state variables)
+    this.isPaused = false;
+    this.blindedByStage = false;
+    this.isCalm = false;     // Calm mode (accessibility.js) holds the scan clock
+    this.collisions = null;
+    this.unsubscribers = [];
+    this.layers = new Map();  // Revealed element → { cover, timer, typing }
+    this.flinchTimer = null;
+    this.currentSpeed = 8;
+    this.stage = null;
+    
+    // SCAN GEOMETRY - Where the eye looks
+    // (Technical: Resolved stage geometry, scan clock and this frame's segments)
+    this.geometry = BeamModule.resolveGeometry({ speed: 8 });
+    this.elapsed = 0;        // Seconds scanned (frozen while paused)
+    this.lastFrame = null;
+    this.seed = 0;           // Random phase so reloads never start in sync
+    this.segments = [];
+    this.frameId = null;
+  }
+  
+  // ==========================================
+  // OPTICAL NERVE ACTIVATION
+  // (Technical: Initialize beam system)
+  // ==========================================
+  
+  init() {
+    // IRIS OPENING - Vision system awakening
+    // (Technical: Create DOM elements and start scanning)
+    
+    this.createBeamElements();
+    this.setRandomStart();
+    this.startScanning();
+    this.startCollisionDetection();
+    
+    // METABOLIC COUPLING - Link to organism lifecycle
+    // (Technical: Subscribe to decay state changes)
+    if (typeof decay !== 'undefined') {
+      decay.subscribe((stage, progress) => {
+        this.syncToDecay(stage, progress);
+      });
+    }
+    
+    // PAIN RECEPTOR - Feel rejected passphrases
+    // (Technical: Subscribe to membrane.js failed attempts)
+    if (typeof membrane !== 'undefined') {
+      membrane.subscribe(() => this.flinch());
+    }
+    
+    // VESTIBULAR DAMPER - Calm mode stills the sweep
+    // (Technical: Subscribe to accessibility.js)
+    if (typeof accessibility !== 'undefined') {
+      accessibility.subscribe(calm => { this.isCalm = calm; });
+    }
+  }
+  
+  // ==========================================
+  // RETINAL STRUCTURE GENERATION
+  // (Technical: Create beam DOM elements)
+  // ==========================================
+  
+  createBeamElements() {
+    // OPTICAL ASSEMBLY - Construct eye components
+    // (Technical: Build beam system container; units are grown per geometry)
+    
+    const container = document.createElement('div');
+    container.className = 'beam-system';
+    container.id = 'beamSystem';
+    container.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(container);
+    
+    this.system = container;
+    this.growUnits(this.geometry.count);
+  }
+  
+  growUnits(count) {
+    // COMPOUND EYE - One body/glow/hotspot triplet per beam
+    // (Technical: Rebuild only when the beam count changes)
+    if (this.units.length === count) return;
+    
+    this.units.forEach(({ unit }) => unit.remove());
+    this.units = Array.from({ length: count }, () => {
+      const unit = document.createElement('div');
+      unit.className = 'beam-unit';
+      unit.innerHTML = `
+        <div class="beam-glow"></div>
+        <div class="beam-body"></div>
+        <div class="beam-hotspot"></div>
+      `;
+      this.system.appendChild(unit);
+      
+      return {
+        unit,
+        body: unit.querySelector('.beam-body'),
+        glow: unit.querySelector('.beam-glow'),
+        hotspot: unit.querySelector('.beam-hotspot')
+      };
+    });
+  }
+  
+  // ==========================================
+  // SACCADIC VARIATION - Random starting position
+  // (Technical: Randomize initial beam phase)
+  // ==========================================
+  
+  setRandomStart() {
+    // INITIAL GAZE DIRECTION - Randomized attention
+    // (Technical: Phase offset shared by every beam, spread added per beam)
+    this.seed = Math.random();
+  }
+  
+  // ==========================================
+  // SCAN GEOMETRY - Orientation, multiplicity, motion
+  // (Technical: Stage beam node → segments in viewport pixels)
+  // ==========================================
+  
+  static resolveGeometry(beam = {}) {
+    // GEOMETRY DEFAULTS - A single vertical sweep unless the stage says otherwise
+    // (Technical: orientation may be one value or a list cycled per beam)
+    const count = Math.max(1, beam.count ?? 1);
+    const orientations = [].concat(beam.orientation ?? 'vertical');
+    
+    return {
+      speed: beam.speed ?? 8,
+      count,
+      motion: beam.motion ?? 'sweep',
+      lines: beam.lines ?? 24,
+      trail: beam.trail ?? 0.2,
+      orientations: Array.from({ length: count }, (_, i) => orientations[i % orientations.length]),
+      phases: Array.from({ length: count }, (_, i) => beam.phases?.[i] ?? i / count)
+    };
+  }
+  
+  progressAt(seconds, phase) {
+    // SCAN PHASE - 0..1 across the viewport
+    // (Technical: Cycles elapsed since the seeded start, shaped by the motion)
+    return BeamModule.cycleProgress(seconds / this.geometry.speed + this.seed + phase, this.geometry);
+  }
+  
+  static cycleProgress(cycle, geometry) {
+    // MOTION SHAPE - Cycle count to sweep position
+    // (Technical: 'sweep' restarts each pass; 'tide' eases there and back;
+    //  static so leak-worm-recorder.js can replay sweeps without a DOM)
+    if (geometry.motion === 'tide') {
+      return (1 - Math.cos(Math.PI * cycle)) / 2;
+    }
+    return cycle - Math.floor(cycle);
+  }
+  
+  static trace(orientation, progress, geometry, width, height) {
+    // BEAM PATH - Segment endpoints for one beam
+    // (Technical: vertical sweeps top→bottom, horizontal left→right,
+    //  diagonal corner to corner, raster scans line by line like a CRT)
+    switch (orientation) {
+      case 'horizontal': {
+        const x = progress * width;
+        return { x1: x, y1: 0, x2: x, y2: height };
+      }
+      case 'diagonal': {
+        // PERPENDICULAR TO THE MAIN DIAGONAL - (height, -width) spans any viewport
+        const cx = progress * width;
+        const cy = progress * height;
+        return { x1: cx - height, y1: cy + width, x2: cx + height, y2: cy - width };
+      }
+      case 'raster': {
+        // ELECTRON GUN - A short trace moving along one scanline at a time
+        const scan = progress * geometry.lines;
+        const line = Math.floor(scan);
+        const x = (scan - line) * width;
+        const y = (line + 0.5) * height / geometry.lines;
+        const half = geometry.trail * width / 2;
+        return { x1: x - half, y1: y, x2: x + half, y2: y };
+      }
+      default: {
+        const y = progress * height;
+        return { x1: 0, y1: y, x2: width, y2: y };
+      }
+    }
+  }
+  
+  measure(seconds) {
+    // FOCAL MAP - Every beam's segment this frame
+    // (Technical: Pure geometry - no layout reads)
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    
+    return this.geometry.orientations.map((orientation, index) => {
+      const progress = this.progressAt(seconds, this.geometry.phases[index]);
+      const segment = BeamModule.trace(orientation, progress, this.geometry, width, height);
+      const length = Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1) || 1;
+      
+      // EDGE FADE - Sweeps fade in and out at the viewport edges, tides never blink
+      const opacity = this.geometry.motion === 'tide' ? 1 :
+                      Math.min(1, progress / 0.02, (1 - progress) / 0.02);
+      
+      return {
+        ...segment,
+        index,
+        orientation,
+        progress,
+        opacity,
+        length,
+        dx: (segment.x2 - segment.x1) / length,  // Unit direction along the beam
+        dy: (segment.y2 - segment.y1) / length,
+        x: (segment.x1 + segment.x2) / 2,        // Segment centre
+        y: (segment.y1 + segment.y2) / 2
+      };
+    });
+  }
+  
+  render() {
+    // PHOSPHOR TRACE - Place each unit along its segment
+    // (Technical: translate + rotate from the segment start; gradients run along the beam)
+    this.segments.forEach((segment, index) => {
+      const { unit, body, glow, hotspot } = this.units[index];
+      const angle = Math.atan2(segment.dy, segment.dx);
+      const transform = `translate(${segment.x1}px, ${segment.y1}px) rotate(${angle}rad) translateY(-50%)`;
+      
+      unit.style.opacity = segment.opacity;
+      [body, glow, hotspot].forEach(el => {
+        el.style.width = `${segment.length}px`;
+        el.style.transform = transform;
+      });
+    });
+  }
+  
+  startScanning() {
+    // SACCADE LOOP - Advance the scan clock and redraw
+    // (Technical: rAF; paused or calm time does not advance, so the beam freezes in place)
+    const pulse = (now) => {
+      if (this.lastFrame !== null && !this.isPaused && !this.isCalm) {
+        this.elapsed += (now - this.lastFrame) / 1000;
+      }
+      this.lastFrame = now;
+      
+      this.segments = this.measure(this.elapsed);
+      this.render();
+      this.frameId = requestAnimationFrame(pulse);
+    };
+    this.frameId = requestAnimationFrame(pulse);
+  }
+  
+  // ==========================================
+  // METABOLIC SYNCHRONIZATION - Decay response
+  // (Technical: Adjust beam behavior based on lifecycle stage)
+  // ==========================================
+  
+  syncToDecay(stage, progress) {
+    // VISION DEGRADATION - Speed and geometry change with health
+    // (Technical: Both come from the stage graph node in CONFIG.stages)
+    
+    const beam = CONFIG.getStage(stage)?.beam || {};
+    const newSpeed = beam.speed ?? 8;
+    
+    // GEOMETRY SHIFT - Panic multiplies the eye, pirate mode turns it into a tide
+    // (Technical: Once per stage; rescale the clock so the scan phase stays continuous)
+    if (stage !== this.stage && newSpeed > 0) {
+      const next = BeamModule.resolveGeometry(beam);
+      this.elapsed = this.elapsed / this.geometry.speed * next.speed;
+      this.geometry = next;
+      this.growUnits(next.count);
+    }
+    this.stage = stage;
+    
+    // REFLEX ADJUSTMENT - Update scan rate
+    // (Technical: Only update if speed actually changes)
+    if (newSpeed !== this.currentSpeed) {
+      this.currentSpeed = newSpeed;
+      
+      // BLINDNESS PROTOCOL - Stop scanning when the stage is sightless
+      // (Technical: Speed 0 pauses the beam; a later sighted stage restores it)
+      if (newSpeed === 0) {
+        this.pause();
+        this.blindedByStage = true;
+      } else if (this.blindedByStage) {
+        this.resume();
+        this.blindedByStage = false;
+      }
+    }
+    
+    // NOTE: Color mutations handled by organism's nervous system
+    // (Technical: Colors flow from decay-core via CSS variables)
+  }
+  
+  // ==========================================
+  // PATTERN RECOGNITION ENGINE - Text detection
+  // (Technical: Drive the shared collision service; render its events)
+  // ==========================================
+  
+  startCollisionDetection() {
+    // VISUAL CORTEX ACTIVATION - Begin pattern scanning
+    // (Technical: One frame loop for beam, particles and audio - see BeamCollisionService)
+    this.collisions = BeamModule.collisions;
+    
+    // PHOSPHOR EXCITATION - Visual contact response
+    // (Technical: CSS classes follow enter/contact/leave; contact fires every frame in range)
+    const contacted = new Set();
+    
+    this.unsubscribers = [
+      this.collisions.on('enter', ({ element }) => {
+        element.classList.add('beam-approaching');
+      }),
+      this.collisions.on('contact', ({ element }) => {
+        element.classList.add('beam-contact');
+        contacted.add(element);
+      }),
+      this.collisions.on('leave', ({ element }) => {
+        element.classList.remove('beam-contact', 'beam-approaching');
+      }),
+      this.collisions.on('frame', ({ beams }) => {
+        // RELAXATION STATE - Contact ended but still approaching
+        // (Technical: Drop beam-contact from elements not touched this frame)
+        this.collisions.active.forEach((state, element) => {
+          if (state !== 'contact' && contacted.has(element)) {
+            element.classList.remove('beam-contact');
+            contacted.delete(element);
+          }
+        });
+        
+        // Each beam glows for its own contacts
+        beams.forEach(({ index, approaching, contacts }) => {
+          const unit = this.units[index];
+          if (!unit) return;
+          unit.glow.classList.toggle('approaching', approaching > 0);
+          unit.hotspot.classList.toggle('active', contacts > 0);
+        });
+      })
+    ];
+    
+    this.watchLayers();
+    this.collisions.start(this);
+  }
+  
+  // ==========================================
+  // HIDDEN LAYERS - Contact reveals what the page conceals
+  // (Technical: data-reveal="text" with data-reveal-mode swap | overlay | type;
+  //  the cover text comes back once the beam has moved on)
+  // ==========================================
+  
+  watchLayers() {
+    this.unsubscribers.push(
+      this.collisions.on('contact', ({ element }) => {
+        if (element.dataset.reveal !== undefined) this.revealLayer(element);
+      }),
+      this.collisions.on('leave', ({ element }) => {
+        if (this.layers.has(element)) this.scheduleConceal(element);
+      })
+    );
+  }
+  
+  revealLayer(element) {
+    // LAYER EXPOSURE - Swap, overlay or type the hidden text
+    // (Technical: Contact fires every frame; an exposed layer only cancels its pending conceal)
+    const exposed = this.layers.get(element);
+    if (exposed) {
+      clearTimeout(exposed.timer);
+      exposed.timer = null;
+      return;
+    }
+    
+    const layer = { cover: element.textContent, timer: null, typing: null };
+    this.layers.set(element, layer);
+    element.classList.add('layer-revealed');
+    
+    const mode = element.dataset.revealMode || 'swap';
+    if (mode === 'swap') {
+      element.textContent = element.dataset.reveal;
+    } else if (mode === 'type') {
+      this.typeLayer(element, layer);
+    }
+    // overlay: CSS shows attr(data-reveal) above the cover
+  }
+  
+  typeLayer(element, layer) {
+    // MARGINALIA - The note is written out one character at a time
+    // (Technical: Runs to completion even if the beam passes on; calm mode writes it whole)
+    const text = element.dataset.reveal;
+    let written = 0;
+    
+    if (this.isCalm) {
+      element.textContent = text;
+      return;
+    }
+    
+    element.textContent = '';
+    element.classList.add('layer-typing');
+    layer.typing = setInterval(() => {
+      element.textContent = text.slice(0, ++written);
+      if (written < text.length) return;
+      
+      clearInterval(layer.typing);
+      layer.typing = null;
+      element.classList.remove('layer-typing');
+      if (!this.collisions.active.has(element)) this.scheduleConceal(element);
+    }, CONFIG.reveal.typeSpeed);
+  }
+  
+  scheduleConceal(element) {
+    // AFTERIMAGE - Truth lingers briefly after contact ends
+    const layer = this.layers.get(element);
+    if (layer.typing) return; // Typing schedules its own conceal when done
+    
+    const delay = element.dataset.revealMode === 'type' ? CONFIG.reveal.holdMs : CONFIG.reveal.lingerMs;
+    clearTimeout(layer.timer);
+    layer.timer = setTimeout(() => this.concealLayer(element), delay);
+  }
+  
+  concealLayer(element) {
+    // LAYER CLOSURE - Restore the cover text
+    const layer = this.layers.get(element);
+    if (!layer) return;
+    
+    clearTimeout(layer.timer);
+    clearInterval(layer.typing);
+    element.textContent = layer.cover;
+    element.classList.remove('layer-revealed', 'layer-typing');
+    this.layers.delete(element);
+  }
+  
+  registerTarget(element, options) {
+    // RECEPTOR API - Dynamically created nodes opt in from JS
+    // (Technical: Same as data-beam; options 'kind' or { kind, range })
+    BeamModule.collisions.register(element, options);
+  }
+  
+  unregisterTarget(element) {
+    BeamModule.collisions.unregister(element);
+  }
+  
+  readBeams() {
+    // FOCAL POINTS - This frame's beam segments
+    // (Technical: Computed by the scan loop; the collision service never reads beam layout)
+    return this.segments;
+  }
+  
+  // ==========================================
+  // STARTLE REFLEX - Wrong passphrase recoil
+  // (Technical: Restartable CSS jitter on the beam system)
+  // ==========================================
+  
+  flinch() {
+    if (!this.system) return;
+    
+    this.system.classList.remove('flinch');
+    void this.system.offsetWidth; // Reflow so the animation restarts
+    this.system.classList.add('flinch');
+    
+    clearTimeout(this.flinchTimer);
+    this.flinchTimer = setTimeout(() => {
+      this.system.classList.remove('flinch');
+    }, 400);
+  }
+  
+  // ==========================================
+  // VISION CONTROL - Pause/resume scanning
+  // (Technical: Scan clock state)
+  // ==========================================
+  
+  pause() {
+    // TEMPORARY BLINDNESS - Suspend vision
+    // (Technical: Scan clock stops; the beam holds its last position)
+    this.isPaused = true;
+  }
+  
+  resume() {
+    // SIGHT RESTORATION - Resume scanning
+    // (Technical: Scan clock continues from where it froze)
+    this.isPaused = false;
+  }
+  
+  // ==========================================
+  // DISPOSAL PROTOCOL - Clean removal
+  // (Technical: Cleanup method)
+  // ==========================================
+  
+  destroy() {
+    // OPTICAL NERVE SEVERANCE - Complete removal
+    // (Technical: Stop loops and remove DOM elements)
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    
+    Array.from(this.layers.keys()).forEach(element => this.concealLayer(element));
+    
+    if (this.collisions) {
+      this.collisions.stop();
+      this.unsubscribers.forEach(unsubscribe => unsubscribe());
+      this.unsubscribers = [];
+    }
+    if (this.system) {
+      this.system.remove();
+    }
+  }
+}
+
+// ==========================================
+// COLLISION SERVICE - Shared contact sense
+// (Technical: One per-frame beam read, cached spatial index, enter/contact/leave events)
+// ==========================================
+
+class BeamCollisionService {
+  constructor() {
+    // SENSORY MAP - Registered targets
+    // (Technical: element → kind, plus a top-sorted rect index rebuilt when dirty)
+    this.targets = new Map();
+    this.index = [];
+    this.maxHeight = 0;
+    this.maxRange = 0;
+    this.dirty = true;
+    
+    // CONTACT STATE - Per-element excitation
+    // (Technical: element → 'approach' | 'contact' while in range)
+    this.active = new Map();
+    this.listeners = { frame: [], enter: [], contact: [], leave: [] };
+    
+    this.source = null;
+    this.frameId = null;
+    this.resizeObserver = null;
+    this.mutationObserver = null;
+    this.markDirty = () => { this.dirty = true; };
+  }
+  
+  // ==========================================
+  // NEURAL PATHWAYS - Event subscription
+  // (Technical: frame {beams, beamY, approaching, contacts};
+  //  enter/contact/leave {element, kind, distance, beam, beamX, beamY})
+  // ==========================================
+  
+  on(type, handler) {
+    this.listeners[type].push(handler);
+    return () => {
+      this.listeners[type] = this.listeners[type].filter(fn => fn !== handler);
+    };
+  }
+  
+  emit(type, event) {
+    this.listeners[type].forEach(handler => handler(event));
+  }
+  
+  // ==========================================
+  // TARGET REGISTRY - What the beam can feel
+  // (Technical: register() for dynamic nodes; data-beam attributes and
+  //  CONFIG.beamTargets selectors are picked up via MutationObserver)
+  // ==========================================
+  
+  register(element, options = {}) {
+    // RECEPTOR GRAFT - options: 'kind' or { kind, range }
+    // (Technical: kind 'impact' | 'fizz' | 'silent' | custom; 'none' unregisters)
+    if (!element) return;
+    
+    const { kind = 'silent', range = CONFIG.beamTargets.defaultRange } =
+      typeof options === 'string' ? { kind: options } : options;
+    
+    if (kind === 'none') {
+      this.unregister(element);
+      return;
+    }
+    if (!this.targets.has(element) && this.resizeObserver) {
+      this.resizeObserver.observe(element);
+    }
+    this.targets.set(element, { kind, range });
+    this.dirty = true;
+  }
+  
+  unregister(element) {
+    if (!this.targets.delete(element)) return;
+    if (this.active.has(element)) {
+      this.active.delete(element);
+      this.emit('leave', { element, kind: null, distance: Infinity, beam: null, beamX: null, beamY: null });
+    }
+    if (this.resizeObserver) this.resizeObserver.unobserve(element);
+    this.dirty = true;
+  }
+  
+  scan(root) {
+    // TISSUE SURVEY - Auto-register matching descendants
+    // (Technical: [data-beam] elements first; CONFIG.beamTargets selectors only
+    //  outside a data-beam ancestor, which stands in for its whole subtree)
+    if (!root || root.nodeType !== Node.ELEMENT_NODE) return;
+    
+    const within = (selector) => [
+      ...(root.matches(selector) ? [root] : []),
+      ...root.querySelectorAll(selector)
+    ];
+    
+    within('[data-beam]').forEach(element => this.registerDeclared(element));
+    
+    // HIDDEN LAYERS - Anything carrying data-reveal must be felt to be read
+    within('[data-reveal]').forEach(element => {
+      if (!this.targets.has(element) && !element.closest('[data-beam="none"]')) {
+        this.register(element, 'silent');
+      }
+    });
+    
+    Object.entries(CONFIG.beamTargets.selectors).forEach(([kind, selector]) => {
+      within(selector).forEach(element => {
+        if (!element.closest('[data-beam]')) this.register(element, kind);
+      });
+    });
+  }
+  
+  registerDeclared(element) {
+    // DECLARED RECEPTOR - data-beam="kind" data-beam-range="px"
+    const range = parseFloat(element.dataset.beamRange);
+    this.register(element, {
+      kind: element.dataset.beam || 'silent',
+      range: Number.isFinite(range) ? range : CONFIG.beamTargets.defaultRange
+    });
+  }
+  
+  prune() {
+    // NECROSIS - Forget detached elements
+    this.targets.forEach((target, element) => {
+      if (!element.isConnected) this.unregister(element);
+    });
+  }
+  
+  // ==========================================
+  // SPATIAL INDEX - Cached geometry
+  // (Technical: Batched rect read, sorted by top; invalidated by resize, scroll and DOM changes)
+  // ==========================================
+  
+  refresh() {
+    if (!this.dirty) return;
+    
+    this.index = [];
+    this.maxHeight = 0;
+    this.maxRange = 0;
+    this.targets.forEach(({ kind, range }, element) => {
+      const rect = element.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) return;
+      
+      this.index.push({
+        element, kind, range,
+        top: rect.top, bottom: rect.bottom, left: rect.left, right: rect.right,
+        width: rect.width, height: rect.height
+      });
+      this.maxHeight = Math.max(this.maxHeight, rect.height, 20);
+      this.maxRange = Math.max(this.maxRange, range);
+    });
+    this.index.sort((a, b) => a.top - b.top);
+    this.dirty = false;
+  }
+  
+  candidates(top, bottom, reach) {
+    // BAND QUERY - Entries whose rect may lie within reach of [top, bottom]
+    // (Technical: Binary search on top, bounded by the tallest target)
+    const from = top - reach - this.maxHeight;
+    let low = 0;
+    let high = this.index.length;
+    
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.index[mid].top < from) low = mid + 1;
+      else high = mid;
+    }
+    
+    const found = [];
+    for (let i = low; i < this.index.length && this.index[i].top <= bottom + reach; i++) {
+      found.push(this.index[i]);
+    }
+    return found;
+  }
+  
+  // ==========================================
+  // FRAME PULSE - One collision pass
+  // (Technical: Original thresholds, measured along each beam's normal in 2D)
+  // ==========================================
+  
+  static probe(beam, entry) {
+    // RECT VS SEGMENT - Distance from the rect centre to the beam line
+    // (Technical: null when the segment misses the rect's extent along the beam)
+    const cx = entry.left + entry.width / 2;
+    const cy = entry.top + entry.height / 2;
+    
+    // Along the beam: does the segment reach the rect at all?
+    const along = (cx - beam.x1) * beam.dx + (cy - beam.y1) * beam.dy;
+    const alongExtent = (Math.abs(beam.dx) * entry.width + Math.abs(beam.dy) * entry.height) / 2;
+    if (along + alongExtent < 0 || along - alongExtent > beam.length) return null;
+    
+    // Across the beam: rect half-thickness on the normal (dy, -dx)
+    const distance = Math.abs((cx - beam.x1) * beam.dy - (cy - beam.y1) * beam.dx);
+    const halfExtent = (Math.abs(beam.dy) * entry.width + Math.abs(beam.dx) * entry.height) / 2;
+    
+    return {
+      distance,
+      halfExtent,
+      beamX: beam.x1 + beam.dx * along,
+      beamY: beam.y1 + beam.dy * along
+    };
+  }
+  
+  static distanceToPoint(beam, x, y) {
+    // POINT PROBE - Perpendicular distance, Infinity past the segment ends
+    // (Technical: For sprites such as particles that have no rect to index)
+    const along = (x - beam.x1) * beam.dx + (y - beam.y1) * beam.dy;
+    if (along < 0 || along > beam.length) return Infinity;
+    return Math.abs((x - beam.x1) * beam.dy - (y - beam.y1) * beam.dx);
+  }
+  
+  step() {
+    if (!this.source || this.source.isPaused) return;
+    
+    const beams = this.source.readBeams();
+    if (beams.length === 0) return;
+    this.refresh();
+    
+    const touched = new Map();
+    beams.forEach(beam => {
+      beam.approaching = 0;
+      beam.contacts = 0;
+      
+      const top = Math.min(beam.y1, beam.y2);
+      const bottom = Math.max(beam.y1, beam.y2);
+      this.candidates(top, bottom, this.maxRange).forEach(entry => {
+        const hit = BeamCollisionService.probe(beam, entry);
+        if (!hit) return;
+        
+        // CONTACT THRESHOLD - Collision sensitivity
+        // (Technical: Contact inside the rect, minimum 20px hit box; the
+        //  per-target range reaches further out as approach)
+        const contactRadius = Math.max(10, hit.halfExtent);
+        if (hit.distance >= Math.max(entry.range, contactRadius)) return;
+
+        const state = hit.distance < contactRadius ? 'contact' : 'approach';
+        beam[state === 'contact' ? 'contacts' : 'approaching']++;
+        
+        // STRONGEST SIGNAL - Several beams on one element: contact wins, then the closest
+        const previous = touched.get(entry.element);
+        if (previous && (previous.state === 'contact' && state !== 'contact' ||
+                         previous.state === state && previous.distance <= hit.distance)) return;
+        
+        touched.set(entry.element, {
+          kind: entry.kind, distance: hit.distance, state,
+          beam: beam.index, beamX: hit.beamX, beamY: hit.beamY
+        });
+      });
+      beam.approaching += beam.contacts;
+    });
+    
+    // TRANSITIONS - enter / contact / leave
+    this.active.forEach((state, element) => {
+      if (!touched.has(element)) {
+        this.active.delete(element);
+        this.emit('leave', {
+          element, kind: this.targets.get(element)?.kind, distance: Infinity,
+          beam: null, beamX: null, beamY: null
+        });
+      }
+    });
+    
+    let contacts = 0;
+    touched.forEach(({ state, ...detail }, element) => {
+      const event = { element, ...detail };
+      if (!this.active.has(element)) this.emit('enter', event);
+      this.active.set(element, state);
+      
+      if (state === 'contact') {
+        contacts++;
+        this.emit('contact', event);
+      }
+    });
+    
+    this.emit('frame', { beams, beamY: beams[0].y, approaching: touched.size, contacts });
+  }
+  
+  // ==========================================
+  // LIFECYCLE - Start/stop sensing
+  // (Technical: rAF loop plus the observers that keep the index fresh)
+  // ==========================================
+  
+  start(source) {
+    this.stop();
+    this.source = source;
+    
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.markDirty);
+      this.targets.forEach((kind, element) => this.resizeObserver.observe(element));
+    }
+    
+    this.mutationObserver = new MutationObserver(mutations => {
+      mutations.forEach(mutation => {
+        if (mutation.type === 'attributes') {
+          // RECEPTOR REWRITE - data-beam changed on a live element
+          this.unregister(mutation.target);
+          this.scan(mutation.target);
+        } else {
+          mutation.addedNodes.forEach(node => this.scan(node));
+        }
+      });
+      if (mutations.some(mutation => mutation.removedNodes.length > 0)) this.prune();
+      this.dirty = true;
+    });
+    this.mutationObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['data-beam', 'data-beam-range', 'data-reveal']
+    });
+    
+    window.addEventListener('resize', this.markDirty);
+    window.addEventListener('scroll', this.markDirty, { capture: true, passive: true });
+    this.scan(document.body);
+    
+    const pulse = () => {
+      this.step();
+      this.frameId = requestAnimationFrame(pulse);
+    };
+    this.frameId = requestAnimationFrame(pulse);
+  }
+  
+  stop() {
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+    
+    if (this.resizeObserver) this.resizeObserver.disconnect();
+    if (this.mutationObserver) this.mutationObserver.disconnect();
+    this.resizeObserver = null;
+    this.mutationObserver = null;
+    
+    window.removeEventListener('resize', this.markDirty);
+    window.removeEventListener('scroll', this.markDirty, { capture: true });
+    this.source = null;
+  }
+}
+
+// SHARED SENSE - One service for every organ
+// (Technical: Particles and audio subscribe here before or after the beam starts)
+BeamModule.collisions = new BeamCollisionService();
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ beam.js requires config.js');
+}
+if (typeof decay === 'undefined') {
+  console.error('❌ beam.js requires decay-core.js');
 }
\ No newline at end of file
@@ -0,0 +1,369 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: CONTENT DIGESTION
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Loads books from a JSON manifest + per-screen Markdown files
+ * DEPENDENCIES: threshold-cipher.js (sealing), config.js (CONFIG.content, optional)
+ *
+ * SURGICAL NOTES:
+ * Writers feed the organism plain text - never JavaScript. A book is a
+ * manifest (book.json) next to its Markdown fragments:
+ *
+ *   {
+ *     "metadata": { "title": "...", "deathMessage": "...", "password": "..." },
+ *     "screens": [
+ *       { "id": 0, "type": "password", "title": "PASSWORD" },
+ *       { "id": 1, "type": "content", "title": "WHAT IS MOTION?", "file": "screens/01-motion.md" },
+ *       { "id": 2, "type": "reward", "metadata": { "title": "..." } }
+ *     ]
+ *   }
+ *
+ * Content screens carry exactly one of: file (fetched on first view),
+ * markdown (inline text) or content (pre-rendered HTML, sealed builds).
+ * Credentials follow tools/seal-book.js (password / credentials[]).
+ *
+ * MARKDOWN DIALECT - mapped onto the existing CSS classes:
+ *   **text**        .emphasis           ==text==     .callout-text
+ *   ~~text~~        .redacted-text      `text`       .equation-label
+ *   ~~cover|truth~~ redacted, truth shown under the beam (~~|truth~~ blacks it out)
+ *   ^^note^^        marginal note typed out on beam contact
+ *   *text*          .parenthetical
+ *   ### heading     .sub-subtitle       > line       .quote
+ *   - item          .list-item          !! line      .pirate-comment
+ *   ---             end dot             text {.no-break}  paragraph class
+ *                                       text {beam=impact range=80}  beam target
+ *
+ * Served manifests must be sealed (tools/seal-book.js book.json out.json).
+ * Plaintext passwords are only accepted with CONFIG.content.allowPlaintext,
+ * for writers previewing locally; the book is then sealed in memory.
+ * ============================================
+ */
+
+const bookLoader = {
+
+  // ==========================================
+  // DIGESTIVE SCHEMA - What a manifest may contain
+  // (Technical: Allowed screen types and paragraph classes)
+  // ==========================================
+
+  screenTypes: ['password', 'content', 'reward'],
+  paragraphClasses: ['no-break', 'final-mystery', 'detail-text', 'callout-text', 'emphasis'],
+
+  // ==========================================
+  // VALIDATION - Reject malformed manifests
+  // (Technical: Returns a list of "path: problem" strings, empty when valid)
+  // ==========================================
+
+  validate(manifest, { served = false } = {}) {
+    const errors = [];
+    const isText = value => typeof value === 'string';
+
+    if (!manifest || typeof manifest !== 'object') {
+      return ['manifest: must be a JSON object'];
+    }
+
+    // METADATA
+    const metadata = manifest.metadata;
+    if (!metadata || typeof metadata !== 'object') {
+      errors.push('metadata: required object');
+    } else {
+      ['title', 'fragment', 'classification', 'deathMessage', 'abandonedMessage'].forEach(field => {
+        if (metadata[field] !== undefined && !isText(metadata[field])) {
+          errors.push(`metadata.${field}: must be a string`);
+        }
+      });
+
+      const credentials = Array.isArray(metadata.credentials) ? metadata.credentials : [];
+      const plaintext = metadata.password !== undefined ||
+        credentials.some(credential => credential.password !== undefined);
+      const sealed = Boolean(metadata.lock) && credentials.length > 0 &&
+        credentials.every(credential => credential.verifier && credential.sealed);
+
+      if (metadata.credentials !== undefined && !Array.isArray(metadata.credentials)) {
+        errors.push('metadata.credentials: must be an array');
+      }
+      if (served && plaintext && !this.allowsPlaintext()) {
+        errors.push('metadata: plaintext password in a served manifest - seal it with tools/seal-book.js');
+      }
+      if (!plaintext && !sealed) {
+        errors.push('metadata: needs password/credentials (source) or lock + credentials (sealed)');
+      }
+    }
+
+    // SCREENS
+    if (!Array.isArray(manifest.screens)) {
+      errors.push('screens: required array');
+      return errors;
+    }
+
+    const seen = new Set();
+    manifest.screens.forEach((screen, index) => {
+      const at = `screens[${index}]`;
+
+      if (!Number.isInteger(screen.id) || screen.id < 0) {
+        errors.push(`${at}.id: must be a non-negative integer`);
+      } else if (seen.has(screen.id)) {
+        errors.push(`${at}.id: duplicate id ${screen.id}`);
+      }
+      seen.add(screen.id);
+
+      if (!this.screenTypes.includes(screen.type)) {
+        errors.push(`${at}.type: must be one of ${this.screenTypes.join(', ')}`);
+      }
+      ['title', 'subtitle', 'prompt', 'file', 'markdown', 'content'].forEach(field => {
+        if (screen[field] !== undefined && !isText(screen[field])) {
+          errors.push(`${at}.${field}: must be a string`);
+        }
+      });
+
+      if (screen.type === 'content') {
+        const bodies = ['file', 'markdown', 'content'].filter(field => screen[field] !== undefined);
+        if (bodies.length !== 1) {
+          errors.push(`${at}: content screens need exactly one of file, markdown, content`);
+        }
+      }
+    });
+
+    return errors;
+  },
+
+  allowsPlaintext() {
+    return typeof CONFIG !== 'undefined' && Boolean(CONFIG.content?.allowPlaintext);
+  },
+
+  // ==========================================
+  // MARKDOWN DIGESTION - Text to specimen HTML
+  // (Technical: Small block/inline converter targeting existing CSS classes)
+  // ==========================================
+
+  escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  },
+
+  renderInline(text) {
+    // HIDDEN LAYERS FIRST - Their text lands in attributes, out of reach of later markers
+    const layer = truth => truth.replace(/[`*=~^]/g, char => `&#${char.charCodeAt(0)};`);
+
+    return this.escapeHTML(text)
+      .replace(/~~([^~|]*)\|([^~]+)~~/g, (match, cover, truth) =>
+        `<span class="redacted-text" data-reveal="${layer(truth)}">${cover || '█'.repeat(truth.length)}</span>`)
+      .replace(/\^\^([^^]+)\^\^/g, (match, note) =>
+        `<span class="marginal-note" data-reveal="${layer(note)}" data-reveal-mode="type">†</span>`)
+      .replace(/`([^`]+)`/g, '<span class="equation-label">$1</span>')
+      .replace(/\*\*([^*]+)\*\*/g, '<span class="emphasis">$1</span>')
+      .replace(/==([^=]+)==/g, '<span class="callout-text">$1</span>')
+      .replace(/~~([^~]+)~~/g, '<span class="redacted-text">$1</span>')
+      .replace(/\*([^*]+)\*/g, '<span class="parenthetical">$1</span>');
+  },
+
+  renderBlock(block) {
+    const lines = block.split('\n').map(line => line.trim());
+    const every = prefix => lines.every(line => line.startsWith(prefix));
+    const strip = prefix => lines.map(line => line.slice(prefix.length).trim());
+
+    if (block === '---') {
+      return '<div class="end-dot"><span class="blink-dot"></span></div>';
+    }
+    if (/^#{1,6} /.test(lines[0]) && lines.length === 1) {
+      return `<div class="sub-subtitle">${this.renderInline(lines[0].replace(/^#+ /, ''))}</div>`;
+    }
+    if (every('- ')) {
+      return strip('- ').map(item => `<div class="list-item">${this.renderInline(item)}</div>`).join('\n');
+    }
+    if (every('>')) {
+      return `<div class="quote">${this.renderInline(strip('>').join(' '))}</div>`;
+    }
+    if (every('!!')) {
+      return `<div class="pirate-comment">${this.renderInline(strip('!!').join(' '))}</div>`;
+    }
+
+    // PARAGRAPH - Optional trailing {.class beam=kind range=px} attributes
+    // (Technical: beam/range become data-beam / data-beam-range, see BeamCollisionService)
+    let text = lines.join(' ');
+    const classes = [];
+    const data = [];
+    const attribute = text.match(/\s*\{((?:\s*(?:\.[\w-]+|beam=[\w-]+|range=\d+))+)\s*\}$/);
+    if (attribute) {
+      attribute[1].trim().split(/\s+/).forEach(token => {
+        const [name, value] = token.split('=');
+        if (name === 'beam') {
+          data.push(` data-beam="${value}"`);
+        } else if (name === 'range') {
+          data.push(` data-beam-range="${value}"`);
+        } else if (this.paragraphClasses.includes(name.slice(1))) {
+          classes.push(name.slice(1));
+        }
+      });
+      text = text.slice(0, attribute.index);
+    }
+    const attributes = (classes.length > 0 ? ` class="${classes.join(' ')}"` : '') + data.join('');
+    return `<p${attributes}>${this.renderInline(text)}</p>`;
+  },
+
+  renderMarkdown(markdown) {
+    return markdown
+      .replace(/\r\n?/g, '\n')
+      .trim()
+      .split(/\n\s*\n/)
+      .filter(block => block.trim())
+      .map(block => this.renderBlock(block.trim()))
+      .join('\n\n');
+  },
+
+  // ==========================================
+  // INGESTION - Manifest to book
+  // (Technical: Fetch, validate, resolve file paths; bodies load lazily)
+  // ==========================================
+
+  async fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return response.text();
+  },
+
+  createBook(manifest, baseUrl) {
+    const resolve = file => (baseUrl ? new URL(file, baseUrl).href : file);
+
+    return {
+      metadata: { ...manifest.metadata },
+      screens: manifest.screens.map(screen => (screen.file ? { ...screen, file: resolve(screen.file) } : { ...screen })),
+      getScreen: function(id) {
+        return this.screens.find(screen => screen.id === id);
+      }
+    };
+  },
+
+  async load(url) {
+    const manifestUrl = new URL(url, location.href).href;
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await this.fetchText(manifestUrl));
+    } catch (error) {
+      throw new Error(`Book manifest unreadable - ${error.message}`);
+    }
+
+    const errors = this.validate(manifest, { served: true });
+    if (errors.length > 0) {
+      throw new Error(`Book manifest invalid:\n${errors.join('\n')}`);
+    }
+
+    const book = this.createBook(manifest, manifestUrl);
+    if (!book.metadata.lock) {
+      // WRITER PREVIEW - Seal plaintext credentials in memory
+      // (Technical: Low iteration count; never ship an unsealed manifest)
+      return this.seal(book, {
+        iterations: CONFIG.content.previewIterations,
+        loadBook: async name => this.createBook(
+          JSON.parse(await this.fetchText(new URL(name, manifestUrl).href)),
+          new URL(name, manifestUrl).href
+        )
+      });
+    }
+    return book;
+  },
+
+  adopt(book) {
+    // ASSIMILATION - Become the active bookContent
+    // (Technical: Mutate the existing global in place so every reference stays valid)
+    if (typeof bookContent !== 'undefined') {
+      bookContent.metadata = book.metadata;
+      bookContent.screens = book.screens;
+      return bookContent;
+    }
+    globalThis.bookContent = book;
+    return book;
+  },
+
+  // ==========================================
+  // LAZY BODIES - Render a screen on first view
+  // (Technical: file → fetched Markdown, markdown → rendered; content untouched)
+  // ==========================================
+
+  async prepareScreen(screen, read = url => this.fetchText(url)) {
+    if (screen.content !== undefined) return screen;
+
+    if (screen.markdown !== undefined) {
+      screen.content = this.renderMarkdown(screen.markdown);
+    } else if (screen.file !== undefined) {
+      screen.content = this.renderMarkdown(await read(screen.file));
+    }
+    return screen;
+  },
+
+  needsPreparation(screen) {
+    return screen.content === undefined && (screen.markdown !== undefined || screen.file !== undefined);
+  },
+
+  // ==========================================
+  // TIER SEALING - Plaintext credentials to lock + payloads
+  // (Technical: Shared by tools/seal-book.js and the writer preview)
+  // ==========================================
+
+  publicMetadata(metadata) {
+    const { password, credentials, lock, ...rest } = metadata;
+    return rest;
+  },
+
+  async assemblePayload(book, entry, loadBook) {
+    const fromOther = entry.book ? await loadBook(entry.book) : null;
+    const gated = (fromOther || book).screens.filter(screen => screen.type !== 'password');
+    const screens = !fromOther && entry.grants
+      ? gated.filter(screen => entry.grants.includes(screen.id))
+      : gated;
+
+    return {
+      grants: screens.map(screen => screen.id),
+      reward: entry.reward ?? screens.find(screen => screen.type === 'reward')?.id ?? null,
+      metadata: fromOther ? this.publicMetadata(fromOther.metadata) : {},
+      screens
+    };
+  },
+
+  credentialEntries(book, fallbackPassword) {
+    return book.metadata.credentials
+      ? book.metadata.credentials.slice()
+      : [{ id: 'default', password: fallbackPassword || book.metadata.password }];
+  },
+
+  async seal(book, { iterations, loadBook, password, onCredential } = {}) {
+    const cipher = typeof thresholdCipher !== 'undefined' ? thresholdCipher : require('./threshold-cipher.js');
+    const entries = this.credentialEntries(book, password);
+
+    if (entries.length === 0 || entries.some(entry => !entry.id || !entry.password)) {
+      throw new Error('every credential needs an id and a password');
+    }
+
+    const lock = cipher.createLock(iterations);
+    const credentials = [];
+
+    for (const entry of entries) {
+      const payload = await this.assemblePayload(book, entry, loadBook);
+      credentials.push({ id: entry.id, ...(await cipher.forgeCredential(entry.password, lock, payload)) });
+      if (onCredential) onCredential(entry, payload);
+    }
+
+    return {
+      metadata: { ...this.publicMetadata(book.metadata), lock, credentials },
+      screens: book.screens.filter(screen => screen.type === 'password'),
+      getScreen: function(id) {
+        return this.screens.find(screen => screen.id === id);
+      }
+    };
+  }
+};
+
+// ==========================================
+// DUAL HOST - Browser global or Node module
+// (Technical: tools/seal-book.js requires this file)
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = bookLoader;
+}
@@ -1,104 +1,61 @@
-/**
- * ============================================
- * SPECIMEN: JNNINNO-PROFESSIONAL-v1
- * ORGAN: CONTENT PHEROMONES
- * RETRIEVAL: November 2025, Professional Portfolio Archive
- * ============================================
- * 
- * STATUS: Operational - Three-Act Emotional Arc
- * FUNCTION: Archive transport vessel - carries professional bio
- * DEPENDENCIES: None (pure data structure)
- * 
- * SURGICAL NOTES:
- * EMOTIONAL ARC: minimal/direct → casual/conversational → poetic/flowing
- * 
- * ACT 1: Sharp, clear facts (frames are static)
- * ACT 2: Friendly pattern recognition (seeing it everywhere)
- * ACT 3: Contemplative depth (what it means)
- * ============================================
- */
-
-const bookContent = {
-  
-  metadata: {
-    title: "PASSWORD",
-    fragment: "Professional-Portfolio",
-    classification: "JUAN SEBASTIÁN NIÑO FLÓREZ",
-    password: "{🌊:🌊∈🌊}",
-    totalScreens: 2,
-    deathMessage: 'ACCESS TERMINATED<span class="death-subtitle">passive engagement detected</span>'
-  },
-
-  screens: [
-    {
-      id: 0,
-      type: "password",
-      title: "PASSWORD",
-      prompt: "Enter authentication sequence:"
-    },
-
-    {
-      id: 1,
-      type: "content",
-      title: "WHAT IS MOTION?",
-      subtitle: "",
-      content: `
-        <p>Hello. My name is Juan Sebastián Niño Flórez.</p>
-        
-        <p>I've been studying motion for a long time. As an engineer calculating derivatives. As an animator manipulating graph editors. As a lead coordinating teams.</p>
-        
-        <p>Here's what I discovered:</p>
-        
-        <p><span class="emphasis">Motion doesn't exist in frames.</span></p>
-        
-        <p>Frame 1: Object at position 0. Static.</p>
-        
-        <p>Frame 2: Object at position 10. Static.</p>
-        
-        <p>Play them back. The object moves.</p>
-        
-        <p><span class="emphasis">But where is that motion?</span></p>
-        
-        <p>Not in Frame 1. Not in Frame 2. It's in the gap between them. In the empty space where there are no frames to see.</p>
-        
-        <p>Then I started seeing the same structure everywhere:</p>
-        
-        <p><span class="emphasis">Neural signals.</span> Neuron A fires. Silence. Neuron B fires. The signal moves — but not in either firing.</p>
-        
-        <p><span class="emphasis">Clock cycles.</span> Value is 5. Nothing. Value is 7. The computation happens — but not in either cycle.</p>
-        
-        <p><span class="emphasis">Conscious states.</span> Experience blue. Emptiness. Experience red. Awareness shifts — but not in either state.</p>
-        
-        <p><span class="emphasis">Where does change actually happen?</span></p>
-        
-        <p>In the gap. In the silence. In the emptiness between measurable states.</p>
-        
-        <p>Same structure. Different speeds. 24 frames per second. 100 neural firings per second. 3 billion clock cycles per second.</p>
-        
-        <p>Every time — discrete states can be measured. <span class="emphasis">But motion, change, experience? They exist in what can't be captured.</span></p>
-        
-        <p><span class="emphasis">What is this emptiness where experience lives?</span></p>
-        
-        <p>The investigation started with 24 frames per second. It expanded into neural patterns, computational cycles, quantum measurements.</p>
-        
-        <p>This space is where I explore these questions.</p>
-        
-        <p class="no-break">Juan Sebastián Niño Flórez</p>
-        <p class="no-break">626-540-6520</p>
-        <p class="no-break">jnninno@gmail.com</p>
-        <p class="no-break">{🌊:🌊∈🌊}</p>
-        
-        <div class="end-dot"><span class="blink-dot"></span></div>
-      `,
-      effects: {
-        pirateComments: false,
-        corruption: false,
-        emphasis: []
-      }
-    }
-  ],
-  
-  getScreen: function(id) {
-    return this.screens.find(screen => screen.id === id);
-  },
-};
+/**
+ * ============================================
+ * SPECIMEN: JNNINNO-PROFESSIONAL-v1
+ * ORGAN: CONTENT PHEROMONES
+ * RETRIEVAL: November 2025, Professional Portfolio Archive
+ * ============================================
+ * 
+ * STATUS: Operational - Three-Act Emotional Arc
+ * FUNCTION: Archive transport vessel - carries professional bio
+ * DEPENDENCIES: None (pure data structure)
+ * 
+ * SEALED BUILD - generated by tools/seal-book.js, do not edit by hand.
+ * Gated screens live in metadata.credentials[].sealed (AES-GCM); see threshold-cipher.js.
+ * 
+ * SURGICAL NOTES:
+ * EMOTIONAL ARC: minimal/direct → casual/conversational → poetic/flowing
+ * 
+ * ACT 1: Sharp, clear facts (frames are static)
+ * ACT 2: Friendly pattern recognition (seeing it everywhere)
+ * ACT 3: Contemplative depth (what it means)
+ * ============================================
+ */
+
+const bookContent = {
+
+  metadata: {
+    title: "PASSWORD",
+    fragment: "Professional-Portfolio",
+    classification: "JUAN SEBASTIÁN NIÑO FLÓREZ",
+    totalScreens: 2,
+    deathMessage: "ACCESS TERMINATED<span class=\"death-subtitle\">passive engagement detected</span>",
+    lock: {
+      algorithm: "PBKDF2-SHA256",
+      iterations: 600000,
+      salt: "+IUfue7yqLFsTZQ8AjUGlg=="
+    },
+    credentials: [
+      {
+        id: "default",
+        verifier: "0JiAVqQR3tfdzxa90yIqPuGJoyN6Ab4ggiD82yUacSo=",
+        sealed: {
+          iv: "rojDL6k0RULGrIbf",
+          data: "dBJNlN0H8O4/WgnRUeuBkJeKwdzMI91lnVEVF3/i2pGO9gZVqSNAl1WTeH58t8eN+WFhm2avvvC9atmqDKIG0dKiNHoVIWC6rTHqyp3Y3eZZLUYyw8WQEtf6BiWqCw8c8UBR7nxWkEJHJNVd5yh0CNrsUjeN3gG7MsCocvP1E2q2mL2jOvQVn8uTZxF9JF1VqhdnmBu2TXXbVxqnIObCkAw5Xcns26x3lLnfWapvt/dvPo+4LLLfRWG2E6EacdQ1pcn60ZywLsQdpn7VjFryDoal28fSsHsXdH+VQJjlM5LUTc6rcTBN88wJ4u8aFnVrNpCp6fes+9/lJVeb9+RcgKyMuUigdBmC7LIY6Pkb9UzMJRoIR+a1q3e78PeD60vmQaRZCqz7t23449WWd1TgAmgdxWWmOuAeKXQT+KvmN7IStfXnIUjf13LDJ3vdZp+kReMFZ+Rc5u/ntMZAsnSRUFlG9NcrWJ/YhEeA55jLXqBfgMXB7hnd/SqAMf6CrL5KNpPlTgqMQMeGouUppG0sGtbU0ywsGasxrlZAiiJZo9EeSSASPVYecSjg9iOcIfRJrC/85QYWkqiSw8F+9JzEQTj/LdCRy8uLUYYiUmJneoFR9K4KHrCY82HUD4Z0aMmVsCM75fO1vkxP5aiXmCOY1XIiNsucTGaX/3/k6Jn4pxf1OS3tXfznHH2/39INLVJ11Fs4BbbIcC63PK2elM5T4s5cZ0MKZ5Fu7lthVCYUwhpYZ/ZKGOiPVj+qy8TY65D+rrhL3Wc/f9erByJ8yu3GAedLw2TaujbwQKzWMa0a6h0KHW2mVgHfMjRZD3BwCyJxCT5i2d7fhNoq7x4VKdz+KV8qGcGt6AMWFFiLO0eZpF8O6vsX/XiA2KGHeMo156hJTJwk8Cuv6OF702raGPvRu3DHU6M9sdlJlywqPR6VPOp+ny1wYMKQTXn2Q8rC2o3pag3Nzhg0s15E2QCJ1JLLckFxgmXj7TZnJkSy46p3gMXi8HTKGMnpzpOd8o5gqUt5cIUhNn8fIVY0kbvYpZBkXJBqkdpZjzE1p5RPJjol896anjDrcZc5QfhaxEhp6M2cd8wBovKD55Gv+BFUG8+a4YiXvmovQbvFXB0C6yHwbv2kz/xKDkSn/Gh+VpRp6b70F0uTQgsgX/tUMueUplmBkPIzVwYoUUXbsuKhJpQ87D/WOpq2x44lAuti34o6q5bKamWvU8lBP7NjvxPJfqKhkXF+DiDiNngMXGMlxiKTVbIfqYSHRpJWhGOWPADssp2FJgbmSNardqJmqv1GCeoaDs8kZ78O48fFYeIApWz8WvRfHzWY50ZnV2zRXLbA0n/FXz33kWigvDTaAe0afQHZd23HTywf7W+t34MdJhSeoUJDuHgA2Ogg7F1x0k94DATjasdiQ7fQuTiPADepGRwkGJ/4b37d3szZ9v1KTGVbju63QWFpURWuBVQ2xf8pPCKysrypiuxXjdtG1+Wzn3GF2i86G2Imq6tDXzTrie71il656IqfOHicW9KiREBKuFiwNsK2KnuSCmrY0I7/21O4Ot6hGm5PnRyMaDPfjmkMyIx/8yoMeEcsKgvyAS0+8yanD8MAI++mHZeNM7yhi/FNSFj9AvsPpyfp0gum7VL6LAFE+JpLmHe3/WQCY8V0JnbHdJ7zz3RR0E8jdPqMkC9aXUB2mGAq8P2RoNjbS9aePRFCIu/a5XJsMvjBtTjWbVG4DmuXMo8+6UAiBq6Cy2iCdYPwlFHheM+0bb68FTrHAnZztmUwoXFLQzeh28mcMIohjZMY1PpCVe1/j4R3yTNd5t7ahnKnd587QnXS0h0iLcB5Nj4SroKTx2bS/btkKLnzL3J+qd2EppmnNEyYW24EHEsBWkyQNkZm6713TR76BQuLVkfILXbo4+8DX7YaTdn6oOtACW9me91SFf9OHS3iGWkdMeozZ809wnpsd98h61Abk+O6XkB74H/SRADDpLg7XwXHDiyLeFIVN4LBqKZ9M8SGhHc43kazNN4b2621vxcMP+nT0dN79kDiqCL+ePsWe0gJjPfMvs3enfzTE4p+TrUw0+fD1LpXlNFOj1gclA00GRPsbdSd40eDVMU8eIoKyXy0UKyV7gmu59eL84V6L45/ToM7qjZ4ePUPcyog5XsDqEQdzIkRmmBXdTwi4hNi/FRYZOZ8E0h/uwHLnNtQChHjZnoJSJpm5D7ocZ7UASSba64Dkc02TzpLBvSq/95emGqrS74UmtccG7Swc3HkrHfVhaktPIQgZzglxBoaNcVFyh5CDZYObiQqeo5oiGOLq9l0OFpOobNfSNG7dCNpCN8oXrefWoaXoNA627TmQFvrMNsXDz4D3J3+XRrf1TAy/4/xHillYjWDFbHIweWcSEuB6LW3NgucDmZxJnvrbKmnLe7Gqe8oxDpyaq8n0vBqr2znWJ+n2eVtM8hKI42SnSANcfCz60rEJn1Ji3ZFN31ZCsyW5sOExqK0INsHWxypUwq5PgN/gKgywerHSBoxt338Ht0GqDHTt80LQ30iODs+1cgW+7OpQqfGsRDuJdxA4ehNC+/dQczdAaR0SKVMg83CGg4yxNmQuBHlb7T8nNb8T5zQ3ZK+mPMBUKmhZMVpDNc58W2fBYHHFYtdYf9Jy5+fjFWdWM/Kz87eBcj1PQcazOjUtb5qvAC0GjsNmmnki61e1hdyIjGfxDKu8gBpQDfCgFJ7bf8etUL9tZykLwBy53PKH6447QkKZfKcm5UZ71TWS8vzUbQr8VasXKH4D2AlcrWzXDayobYvLKHe5odsiDSrOWg1qWeDwGDiDl1g8fUThv1GGO1uziD/vbJjitsC2HCvP3JeKHnr/e3xGlQB8CVdU/Fsuo58fOpOIodel/KRUjJ9z0u5RtwgDR2FShtBl5/fV0dS5ouSR6uddug6yVbM20/UP9L4PzKDM6thx8iAAayfkZQB0+ntV5K3PCwXdfA9qct5ta65Nyk3uu9saaFiFw2l3nN8ZatQgBt3QKbHNbcpG0ZzGZaNaKJWDSXhzItY10cQs7UJBXjoUWHZ6NcC+TFXVPZnIOW7LvRA4IAjZf1PmQh8WKiJrS6mrwYyIotn+I2rfxi/c8iV2R8qjlF35+83zlHgkI0n3FZL05zAAHlj+3W4kgTnDkNDRLxBteDs2qWOxFvH6KnEUE9LUb+Ohom8LT4vj+kt9zk61472T0xm1h6YOVzBgREjFA51JE28UigxffmZWG+yNGipURgd+N62OOeI43exFK4HLa1gOjX9DtXr1UVrG9ejPU4ai8AJaLyGVxvN5zZH+gsK00E6lBae7ihlQ7Wk915nBrAM4th5B1148Ldp33sIQwW/avNdNC7NXUvf8ZKfZJmBsUu3GMmFdd/leyqrdq1l71YmXpsfhnqZZCwtn5+K6GU7l6wKkg5ARwxv3RSrNdd2bB357TGSDPOF8y02cUPqglD9566pNtItsiICQgV07xcYYgVXhbioEDpmTaFku8TSD/rVp0P+EGrlPZ7MILtxzsLr+WJMZUyXasG7gwzRWipWJD1YOBxBAgUDnEbQXPo8NGDw8WqgQ5NJkPacdqgKtXF/ge4rb5VmaZedtz6urkJ4V/YDZmDgzZZegnq+P9ju3Ksv1O/B4037EDItmxiAxSfVGHJxYX8utWG9IcwJN48NpXPI"
+        }
+      }
+    ]
+  },
+
+  screens: [
+    {
+      id: 0,
+      type: "password",
+      title: "PASSWORD",
+      prompt: "Enter authentication sequence:"
+    }
+  ],
+
+  getScreen: function(id) {
+    return this.screens.find(screen => screen.id === id);
+  },
+};
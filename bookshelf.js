@@ -0,0 +1,131 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: SPECIMEN SHELF
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Chooses which book the organism carries from the URL
+ * DEPENDENCIES: config.js (CONFIG.books registry), book-loader.js (manifest books)
+ *
+ * SURGICAL NOTES:
+ * One deployment, several specimens. The active book is read from:
+ *   1. hash route      #/book/portfolio
+ *   2. query string    ?book=cycle1022
+ *   3. CONFIG.books.default
+ *
+ * Each registry entry brings its own book - a script declaring
+ * bookContent, or a sealed manifest for book-loader.js - plus optional
+ * CONFIG overrides (deep merged before the organism wakes) and its own
+ * lifecycle mode. Switching routes reloads the page: a specimen is never
+ * transplanted into a living host.
+ * ============================================
+ */
+
+const bookshelf = {
+
+  // ==========================================
+  // SHELF STATE
+  // (Technical: Active registry key and entry)
+  // ==========================================
+
+  active: null,
+  entry: null,
+
+  // ==========================================
+  // ROUTE READING - Which specimen was requested?
+  // (Technical: Hash route, then ?book=, then the registry default)
+  // ==========================================
+
+  requested() {
+    const fromHash = location.hash.match(/^#\/book\/([\w-]+)/);
+    if (fromHash) return fromHash[1];
+
+    return new URLSearchParams(location.search).get('book') || CONFIG.books.default;
+  },
+
+  resolve(name) {
+    if (CONFIG.books.registry[name]) return name;
+
+    console.warn(`📚 Unknown book "${name}" - opening "${CONFIG.books.default}"`);
+    return CONFIG.books.default;
+  },
+
+  // ==========================================
+  // GRAFTING - Apply the book's CONFIG overrides
+  // (Technical: Plain objects merge recursively, everything else replaces)
+  // ==========================================
+
+  mergeInto(target, overrides) {
+    Object.entries(overrides).forEach(([key, value]) => {
+      const isPlain = value && typeof value === 'object' && !Array.isArray(value);
+      if (isPlain && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+        this.mergeInto(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    });
+    return target;
+  },
+
+  loadScript(src) {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`${src} failed to load`));
+      document.head.appendChild(script);
+    });
+  },
+
+  // ==========================================
+  // SPECIMEN RETRIEVAL - Open the active book
+  // (Technical: Overrides first, then the script or manifest; call before anything reads bookContent)
+  // ==========================================
+
+  async open(name = this.requested()) {
+    this.active = this.resolve(name);
+    this.entry = CONFIG.books.registry[this.active];
+
+    if (this.entry.config) {
+      this.mergeInto(CONFIG, this.entry.config);
+    }
+
+    // SEPARATE MEMORIES - One persistence slot per specimen
+    CONFIG.persistence.key = `${CONFIG.persistence.key}:${this.active}`;
+
+    if (typeof this.entry.permanentPirateMode === 'boolean' && typeof decay !== 'undefined') {
+      decay.permanentPirateMode = this.entry.permanentPirateMode;
+    }
+    if (this.entry.title) {
+      document.title = this.entry.title;
+    }
+
+    if (this.entry.manifest) {
+      CONFIG.content.manifest = this.entry.manifest;
+    } else if (this.entry.script) {
+      await this.loadScript(this.entry.script);
+    }
+    return this.entry;
+  },
+
+  watchRoute() {
+    // ROUTE WATCH - Another specimen requested
+    // (Technical: hashchange to a different book reloads the page)
+    window.addEventListener('hashchange', () => {
+      if (this.resolve(this.requested()) !== this.active) {
+        location.reload();
+      }
+    });
+  }
+};
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ bookshelf.js requires config.js');
+}
@@ -0,0 +1,173 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: CIRCADIAN PACEMAKER
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Time source and frame heartbeat for the lifecycle controller
+ * DEPENDENCIES: config.js (hidden-tab policy, optional)
+ *
+ * SURGICAL NOTES:
+ * The organism once kept time with a crude 10Hz muscle twitch that
+ * stuttered whenever the host tab fell asleep. This pacemaker fires
+ * once per animation frame instead, and knows when its host is
+ * looking away.
+ *
+ * Two strains were cultivated:
+ * - AnimationFrameClock: wall time, one pulse per rendered frame,
+ *   suspended while the tab is hidden
+ * - VirtualClock: laboratory time that only moves when advanced,
+ *   for fast-forwarding a full lifecycle in a headless test
+ *
+ * Both expose the same anatomy: now(), start(onFrame), stop().
+ * ============================================
+ */
+
+class AnimationFrameClock {
+  constructor() {
+    // PACEMAKER STATE - Rhythm tracking
+    // (Technical: Frame loop and hidden-tab bookkeeping)
+    this.onFrame = null;         // Heartbeat receiver
+    this.frameId = null;         // Pending frame request
+    this.hiddenAt = null;        // When the host looked away
+    this.sleepOffset = 0;        // Total suspended time (suspend policy)
+
+    this.handleVisibility = () => this.onVisibilityChange();
+  }
+
+  // ==========================================
+  // TIME PERCEPTION - Current moment
+  // (Technical: Wall time minus time slept under the suspend policy)
+  // ==========================================
+
+  now() {
+    return Date.now() - this.sleepOffset;
+  }
+
+  get running() {
+    return this.onFrame !== null;
+  }
+
+  // ==========================================
+  // PULSE GENERATION - Frame loop
+  // (Technical: requestAnimationFrame with a timeout fallback)
+  // ==========================================
+
+  start(onFrame) {
+    // FIRST BEAT - Begin rhythm
+    // (Technical: Replace any previous receiver, watch tab visibility)
+    this.stop();
+    this.onFrame = onFrame;
+
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', this.handleVisibility);
+    }
+    this.scheduleFrame();
+  }
+
+  stop() {
+    // CARDIAC ARREST - End rhythm
+    // (Technical: Cancel pending frame and visibility watch)
+    this.cancelFrame();
+    this.onFrame = null;
+
+    if (typeof document !== 'undefined') {
+      document.removeEventListener('visibilitychange', this.handleVisibility);
+    }
+  }
+
+  scheduleFrame() {
+    if (this.frameId !== null || !this.onFrame) return;
+
+    const pulse = () => {
+      this.frameId = null;
+      if (!this.onFrame) return;
+      this.onFrame(this.now());
+      this.scheduleFrame();
+    };
+
+    this.frameId = typeof requestAnimationFrame === 'function'
+      ? requestAnimationFrame(pulse)
+      : setTimeout(pulse, 16);
+  }
+
+  cancelFrame() {
+    if (this.frameId === null) return;
+
+    if (typeof cancelAnimationFrame === 'function') {
+      cancelAnimationFrame(this.frameId);
+    } else {
+      clearTimeout(this.frameId);
+    }
+    this.frameId = null;
+  }
+
+  // ==========================================
+  // DORMANCY - Hidden tab handling
+  // (Technical: Stop pulsing while hidden; 'suspend' also freezes time)
+  // ==========================================
+
+  onVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      // HIBERNATION - Host looked away
+      this.hiddenAt = Date.now();
+      this.cancelFrame();
+      return;
+    }
+
+    // AROUSAL - Host returned
+    // (Technical: Under 'suspend' the hidden span never happened)
+    const policy = typeof CONFIG !== 'undefined' ? CONFIG.clock?.hiddenPolicy : 'elapse';
+    if (this.hiddenAt !== null && policy === 'suspend') {
+      this.sleepOffset += Date.now() - this.hiddenAt;
+    }
+    this.hiddenAt = null;
+
+    if (this.onFrame) {
+      this.onFrame(this.now());
+      this.scheduleFrame();
+    }
+  }
+}
+
+class VirtualClock {
+  constructor(startTime = 0) {
+    // LABORATORY TIME - Experimenter-controlled
+    // (Technical: Time only moves through advance())
+    this.time = startTime;
+    this.onFrame = null;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  get running() {
+    return this.onFrame !== null;
+  }
+
+  start(onFrame) {
+    this.onFrame = onFrame;
+  }
+
+  stop() {
+    this.onFrame = null;
+  }
+
+  // ==========================================
+  // TIME DILATION - Fast-forward
+  // (Technical: Step time in frame-sized increments, pulsing each step)
+  // ==========================================
+
+  advance(ms, step = 16) {
+    const target = this.time + ms;
+
+    while (this.time < target) {
+      this.time = Math.min(this.time + step, target);
+      if (this.onFrame) this.onFrame(this.time);
+    }
+    return this.time;
+  }
+}
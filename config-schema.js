@@ -0,0 +1,483 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: GENETIC PROOFREADER
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Checks the CONFIG genome against its schema before it is expressed
+ * DEPENDENCIES: config.js (the genome), nothing else - shared with
+ *               tools/check-config.js under Node
+ *
+ * SURGICAL NOTES:
+ * config.js used to end with "VALIDATION REMOVED", so a mutated genome
+ * never failed: consumers defended every read with ?. and || fallbacks and
+ * quietly ran on defaults. This organ restores proofreading without
+ * putting it back into production:
+ * - the schema below describes every table: types, ranges, known keys
+ * - rules cover what a shape cannot: timings summing to their total,
+ *   every stage present in every visual table, graph references resolving
+ * - each error names its precise path, with a "did you mean" when a key
+ *   looks like a misspelled or renamed one
+ *
+ * It runs only in debug mode (?debug or <html data-debug>), where an
+ * invalid genome halts the boot, and in `node tools/check-config.js`,
+ * which also audits every literal CONFIG.path the organs read.
+ * ============================================
+ */
+
+const configSchema = {
+
+  // ==========================================
+  // BASE PAIRS - Reusable value descriptors
+  // (Technical: { type, min, max, integer, oneOf, optional, nullable })
+  // ==========================================
+
+  types: {
+    ms: { type: 'number', min: 0 },
+    seconds: { type: 'number', min: 0 },
+    unit: { type: 'number', min: 0, max: 1 },          // Opacities, fractions
+    positive: { type: 'number', min: 0 },
+    number: { type: 'number' },
+    string: { type: 'string' },
+    boolean: { type: 'boolean' },
+    rgb: { type: 'rgb' },                               // { r, g, b } integers 0-255
+    keys: { type: 'array', of: { type: 'string' } }
+  },
+
+  // ==========================================
+  // GENOME MAP - The schema
+  // (Technical: Built lazily; 'stages' tables are keyed by graph stage and,
+  //  when complete, need every stage that has no visuals alias)
+  // ==========================================
+
+  build() {
+    const t = this.types;
+    const optional = descriptor => ({ ...descriptor, optional: true });
+    const stageTable = (of, complete = true) => ({ type: 'stages', of, complete });
+    const fields = (shape, extra = {}) => ({ type: 'object', fields: shape, ...extra });
+
+    const profile = fields({ total: t.ms, opacityMultiplier: t.positive }, { rest: t.ms });
+
+    const beam = fields({
+      speed: t.seconds,
+      orientation: optional({
+        type: 'either',
+        of: [
+          { type: 'string', oneOf: ['vertical', 'horizontal', 'diagonal', 'raster'] },
+          { type: 'array', of: { type: 'string', oneOf: ['vertical', 'horizontal', 'diagonal', 'raster'] } }
+        ]
+      }),
+      count: optional({ type: 'number', min: 1, integer: true }),
+      phases: optional({ type: 'array', of: t.unit }),
+      motion: optional({ type: 'string', oneOf: ['sweep', 'tide'] }),
+      lines: optional({ type: 'number', min: 1, integer: true }),
+      trail: optional(t.unit)
+    });
+
+    const particles = fields({
+      opacity: t.unit,
+      survivors: optional(t.unit),
+      motion: optional(fields({
+        rise: optional(t.number),
+        current: optional(t.number),
+        drag: optional(t.positive),
+        turbulence: optional(t.positive),
+        jitter: optional(t.positive),
+        clump: optional(t.unit),
+        settle: optional(t.boolean)
+      }))
+    });
+
+    const stageNode = fields({
+      next: optional({
+        type: 'either',
+        of: [
+          { type: 'string', oneOf: config => this.stageNames(config) },
+          { type: 'array', of: fields({ to: { type: 'string', oneOf: config => this.stageNames(config) }, when: { type: 'function' } }) }
+        ]
+      }),
+      terminal: optional({ type: 'string', oneOf: ['death', 'pirate', 'rebirth'] }),
+      duration: optional(t.ms),
+      from: optional({ type: 'string', oneOf: ['previous'] }),
+      visuals: optional({ type: 'string', oneOf: config => this.stageNames(config) }),
+      fadeTiming: optional({ type: 'string', oneOf: config => ['profile', ...Object.keys(config.timings || {})] }),
+      beam: optional(beam),
+      particles: optional(particles)
+    });
+
+    const colorEntry = fields({ core: t.rgb, glow: t.rgb, text: t.rgb, textOpacity: optional(t.unit) });
+
+    return fields({
+      profile: { type: 'string', oneOf: config => this.profileNames(config) },
+      timings: fields({
+        pirate: fields({
+          fadeOutDuration: t.ms,
+          colorShiftDuration: t.ms,
+          fadeInDuration: t.ms,
+          opacityMultiplier: t.positive
+        })
+      }, { rest: profile }),
+      stages: fields({
+        initial: { type: 'string', oneOf: config => this.stageNames(config) },
+        graph: { type: 'map', of: stageNode }
+      }),
+      colors: stageTable(colorEntry),
+      danger: stageTable(t.rgb),
+      beamColors: stageTable(t.rgb, false),
+      breathing: stageTable(fields({ speed: t.seconds, opacityMin: t.unit, opacityMax: t.unit })),
+      vignette: stageTable(fields({ radius: { type: 'number', min: 0, max: 100 }, opacity: t.unit })),
+      scanlines: stageTable(fields({ opacity: t.unit, speed: t.seconds })),
+      blur: stageTable(fields({ title: t.positive, text: t.positive, pirate: t.positive })),
+      textShadow: stageTable(fields({ spread: t.positive, intensity: t.unit })),
+      flicker: stageTable(fields({ speed: t.seconds, brightness: t.positive })),
+      score: stageTable(fields({
+        freq: t.positive, volume: t.positive, detune: t.number, cutoff: t.positive, noise: t.positive,
+        pulse: t.positive, bpm: t.positive, wow: t.positive, wowRate: t.positive
+      })),
+      beamTargets: fields({
+        defaultRange: t.positive,
+        selectors: fields({ impact: t.string, fizz: t.string, silent: t.string })
+      }),
+      reveal: fields({ lingerMs: t.ms, typeSpeed: t.ms, holdMs: t.ms }),
+      particles: fields({
+        renderer: { type: 'string', oneOf: ['auto', 'webgl', 'canvas', 'dom'] },
+        density: t.positive,
+        scatter: fields({ radius: t.positive, strength: t.positive })
+      }),
+      interaction: fields({ resetEvents: t.keys, throttleMs: t.ms }),
+      persistence: fields({
+        enabled: t.boolean,
+        storage: { type: 'string', oneOf: ['local', 'session'] },
+        key: t.string,
+        policy: { type: 'string', oneOf: ['resume', 'mourn', 'rebirth'] },
+        saveIntervalMs: { type: 'number', min: 1 }
+      }),
+      books: fields({
+        default: { type: 'string', oneOf: config => Object.keys(config.books?.registry || {}) },
+        registry: {
+          type: 'map',
+          of: fields({
+            script: optional(t.string),
+            manifest: optional(t.string),
+            title: optional(t.string),
+            permanentPirateMode: optional(t.boolean),
+            config: optional({ type: 'object', open: true })
+          })
+        }
+      }),
+      themes: fields({
+        default: { type: 'string', nullable: true, oneOf: config => Object.keys(config.themes?.registry || {}) },
+        crossfade: t.ms,
+        registry: { type: 'map', of: { type: 'either', of: [t.string, { type: 'object', open: true }] } }
+      }),
+      content: fields({
+        manifest: { type: 'string', nullable: true },
+        allowPlaintext: t.boolean,
+        previewIterations: { type: 'number', min: 1, integer: true }
+      }),
+      membrane: fields({
+        freeAttempts: { type: 'number', min: 0, integer: true },
+        lockoutBaseMs: t.ms,
+        lockoutMaxMs: t.ms,
+        panicAfter: { type: 'number', min: 0, integer: true },
+        panicStage: { type: 'string', oneOf: config => this.stageNames(config) },
+        key: t.string
+      }),
+      accessibility: fields({
+        key: t.string,
+        calm: fields({ maxBlur: t.positive, minFlickerSpeed: t.seconds, minFlickerBrightness: t.positive }),
+        announcements: stageTable(t.string, false)
+      }),
+      keybindings: fields({
+        volumeUp: t.keys, volumeDown: t.keys, mute: t.keys, pause: t.keys, nextScreen: t.keys,
+        revive: t.keys, proceed: t.keys, calm: t.keys, help: t.keys, close: t.keys
+      }),
+      clock: fields({ hiddenPolicy: { type: 'string', oneOf: ['elapse', 'suspend'] } })
+    }, { methods: true });
+  },
+
+  // ==========================================
+  // GRAPH LOOKUPS
+  // (Technical: Read from the config under test, never the global CONFIG)
+  // ==========================================
+
+  stageNames(config) {
+    return Object.keys(config.stages?.graph || {});
+  },
+
+  profileNames(config) {
+    return Object.entries(config.timings || {})
+      .filter(([, timing]) => timing && typeof timing.total === 'number')
+      .map(([name]) => name);
+  },
+
+  // ==========================================
+  // MISREADING REPAIR - "did you mean"
+  // (Technical: A required key missing beside the unknown one first, then
+  //  the closest candidate by edit distance)
+  // ==========================================
+
+  distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let diagonal = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const above = row[j];
+        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diagonal = above;
+      }
+    }
+    return row[b.length];
+  },
+
+  suggest(key, candidates, missing = []) {
+    if (missing.length === 1) return ` (did you mean ${missing[0]}?)`;
+
+    const lower = String(key).toLowerCase();
+    const best = candidates
+      .map(candidate => ({ candidate, score: this.distance(lower, candidate.toLowerCase()) }))
+      .sort((a, b) => a.score - b.score)[0];
+    return best && best.score <= Math.max(2, Math.floor(lower.length / 3)) ? ` (did you mean ${best.candidate}?)` : '';
+  },
+
+  // ==========================================
+  // SHAPE CHECK - Walk a value against a descriptor
+  // (Technical: Errors are "path: message" strings, like bookLoader.validate)
+  // ==========================================
+
+  describe(descriptor) {
+    if (descriptor.type === 'either') return descriptor.of.map(option => this.describe(option)).join(' or ');
+    if (descriptor.type === 'rgb') return '{ r, g, b } color';
+    if (descriptor.type === 'stages' || descriptor.type === 'map' || descriptor.type === 'object') return 'object';
+    return descriptor.type;
+  },
+
+  check(value, descriptor, path, config, errors) {
+    if (value === undefined) {
+      if (!descriptor.optional) errors.push(`${path}: required ${this.describe(descriptor)} is missing`);
+      return;
+    }
+    if (value === null && descriptor.nullable) return;
+
+    switch (descriptor.type) {
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`${path}: must be a number, got ${JSON.stringify(value)}`);
+        } else if (descriptor.integer && !Number.isInteger(value)) {
+          errors.push(`${path}: must be an integer, got ${value}`);
+        } else if (value < (descriptor.min ?? -Infinity) || value > (descriptor.max ?? Infinity)) {
+          errors.push(`${path}: ${value} is out of range ${descriptor.min ?? '-∞'}..${descriptor.max ?? '∞'}`);
+        }
+        return;
+
+      case 'string': {
+        if (typeof value !== 'string') {
+          errors.push(`${path}: must be a string, got ${JSON.stringify(value)}`);
+          return;
+        }
+        const allowed = typeof descriptor.oneOf === 'function' ? descriptor.oneOf(config) : descriptor.oneOf;
+        if (allowed && !allowed.includes(value)) {
+          errors.push(`${path}: "${value}" is not one of ${allowed.join(' | ')}${this.suggest(value, allowed)}`);
+        }
+        return;
+      }
+
+      case 'boolean':
+      case 'function':
+        if (typeof value !== descriptor.type) errors.push(`${path}: must be a ${descriptor.type}`);
+        return;
+
+      case 'rgb':
+        if (!this.isPlain(value)) {
+          errors.push(`${path}: must be a { r, g, b } color`);
+          return;
+        }
+        ['r', 'g', 'b'].forEach(channel => {
+          this.check(value[channel], { type: 'number', min: 0, max: 255, integer: true }, `${path}.${channel}`, config, errors);
+        });
+        this.unknownKeys(value, ['r', 'g', 'b'], path, errors);
+        return;
+
+      case 'array':
+        if (!Array.isArray(value)) {
+          errors.push(`${path}: must be an array`);
+          return;
+        }
+        value.forEach((item, index) => this.check(item, descriptor.of, `${path}[${index}]`, config, errors));
+        return;
+
+      case 'either': {
+        const passes = descriptor.of.some(option => {
+          const attempt = [];
+          this.check(value, option, path, config, attempt);
+          return attempt.length === 0;
+        });
+        if (!passes) {
+          // Report the option whose shape matches, so the message names the real fault
+          const option = descriptor.of.find(candidate => (candidate.type === 'array') === Array.isArray(value)) || descriptor.of[0];
+          this.check(value, option, path, config, errors);
+        }
+        return;
+      }
+
+      case 'map':
+        if (!this.isPlain(value)) {
+          errors.push(`${path}: must be an object`);
+          return;
+        }
+        Object.entries(value).forEach(([key, item]) => this.check(item, descriptor.of, `${path}.${key}`, config, errors));
+        return;
+
+      case 'stages':
+        this.checkStages(value, descriptor, path, config, errors);
+        return;
+
+      case 'object':
+        this.checkObject(value, descriptor, path, config, errors);
+        return;
+    }
+  },
+
+  checkObject(value, descriptor, path, config, errors) {
+    if (!this.isPlain(value)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (descriptor.open) return;
+
+    const shape = descriptor.fields || {};
+    Object.entries(shape).forEach(([key, field]) => this.check(value[key], field, `${path}.${key}`, config, errors));
+
+    const extra = Object.keys(value).filter(key => !(key in shape) && !(descriptor.methods && typeof value[key] === 'function'));
+    if (descriptor.rest) {
+      extra.forEach(key => this.check(value[key], descriptor.rest, `${path}.${key}`, config, errors));
+    } else {
+      this.unknownKeys(value, Object.keys(shape), path, errors, extra);
+    }
+  },
+
+  checkStages(value, descriptor, path, config, errors) {
+    if (!this.isPlain(value)) {
+      errors.push(`${path}: must be an object keyed by stage`);
+      return;
+    }
+
+    const stages = this.stageNames(config);
+    Object.entries(value).forEach(([stage, entry]) => {
+      if (!stages.includes(stage)) {
+        errors.push(`${path}.${stage}: unknown stage${this.suggest(stage, stages)}`);
+        return;
+      }
+      this.check(entry, descriptor.of, `${path}.${stage}`, config, errors);
+    });
+
+    if (!descriptor.complete) return;
+    stages.forEach(stage => {
+      const alias = config.stages.graph[stage]?.visuals;
+      if (value[stage] === undefined && value[alias] === undefined) {
+        errors.push(`${path}.${stage}: missing - every stage needs an entry (or a visuals alias in stages.graph)`);
+      }
+    });
+  },
+
+  unknownKeys(value, known, path, errors, extra = Object.keys(value).filter(key => !known.includes(key))) {
+    const missing = known.filter(key => value[key] === undefined);
+    extra.forEach(key => errors.push(`${path}.${key}: unknown key${this.suggest(key, known, missing)}`));
+  },
+
+  isPlain(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  },
+
+  // ==========================================
+  // CROSS-TABLE RULES - What a shape cannot say
+  // (Technical: Timing sums, lifecycle coverage, pairwise ranges)
+  // ==========================================
+
+  rules: [
+    function timingsSumToTotal(config, errors) {
+      const stages = configSchema.stageNames(config);
+      const timed = stages.filter(stage => {
+        const node = config.stages.graph[stage];
+        return node.duration === undefined && node.from !== 'previous';
+      });
+
+      configSchema.profileNames(config).forEach(name => {
+        const timing = config.timings[name];
+        const path = `CONFIG.timings.${name}`;
+
+        Object.keys(timing)
+          .filter(key => key !== 'total' && key !== 'opacityMultiplier' && !stages.includes(key))
+          .forEach(key => errors.push(`${path}.${key}: not a stage${configSchema.suggest(key, stages)}`));
+        timed
+          .filter(stage => timing[stage] === undefined)
+          .forEach(stage => errors.push(`${path}.${stage}: missing - the lifecycle reaches this stage by elapsed time`));
+
+        const parts = stages.filter(stage => typeof timing[stage] === 'number');
+        const sum = parts.reduce((total, stage) => total + timing[stage], 0);
+        if (sum !== timing.total) {
+          errors.push(`${path}.total: ${timing.total} but ${parts.join(' + ')} = ${sum}`);
+        }
+      });
+    },
+
+    function breathingRange(config, errors) {
+      Object.entries(config.breathing || {}).forEach(([stage, entry]) => {
+        if (entry && entry.opacityMin > entry.opacityMax) {
+          errors.push(`CONFIG.breathing.${stage}: opacityMin ${entry.opacityMin} exceeds opacityMax ${entry.opacityMax}`);
+        }
+      });
+    },
+
+    function lockoutRange(config, errors) {
+      const membrane = config.membrane || {};
+      if (membrane.lockoutBaseMs > membrane.lockoutMaxMs) {
+        errors.push(`CONFIG.membrane.lockoutBaseMs: ${membrane.lockoutBaseMs} exceeds lockoutMaxMs ${membrane.lockoutMaxMs}`);
+      }
+    }
+  ],
+
+  // ==========================================
+  // PROOFREADING - Entry points
+  // ==========================================
+
+  validate(config) {
+    const errors = [];
+    this.schema = this.schema || this.build();
+    this.check(config, this.schema, 'CONFIG', config, errors);
+
+    // Rules read the graph - only meaningful once the graph itself is sound
+    if (!errors.some(error => error.startsWith('CONFIG.stages') || error.startsWith('CONFIG.timings'))) {
+      this.rules.forEach(rule => rule(config, errors));
+    }
+    return errors;
+  },
+
+  isDebug() {
+    return typeof window !== 'undefined' &&
+      (new URLSearchParams(window.location.search).has('debug') || 'debug' in document.documentElement.dataset);
+  },
+
+  report(config) {
+    // LOUD FAILURE - Every error at once, not the first one found
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      console.error(`❌ CONFIG failed validation (${errors.length}):\n  ${errors.join('\n  ')}`);
+    } else {
+      console.log('🧬 CONFIG validated');
+    }
+    return errors;
+  }
+};
+
+// ==========================================
+// NODE EXPORT
+// (Technical: tools/check-config.js requires this file)
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = configSchema;
+}
@@ -1,318 +1,767 @@
-/**
- * ============================================
- * SPECIMEN: LEAK-WORM-847T
- * ORGAN: ORGANISM CONSTANTS ARCHIVE
- * RETRIEVAL: October 2025, Tlönian Research Facility
- * ============================================
- * 
- * STATUS: Operational
- * FUNCTION: Central nervous system constants - all vital signs originate here
- * DEPENDENCIES: None (primary organ, all others feed from this)
- * 
- * SURGICAL NOTES:
- * This archive contains the genetic blueprint for specimen behavior.
- * All timing DNA, color genetics, and metabolic rates are encoded here.
- * Modification of these constants will mutate the organism's fundamental
- * nature. Handle with appropriate containment protocols.
- * 
- * The specimen exhibits a consistent 32-second lifecycle from birth
- * to natural death, allowing observers to witness complete metamorphosis.
- * ============================================
- */
-
-const CONFIG = {
-  
-  // ==========================================
-  // LIFECYCLE DNA - Metabolic timing sequences
-  // (Technical: Duration of each decay stage in milliseconds)
-  // ==========================================
-  
-  timings: {
-    // STANDARD METABOLISM - Natural organism lifecycle
-    // (Technical: 32-second total lifespan everywhere)
-    standard: {
-      healthy: 24000,  // 24s - Stable phosphorescence period
-      panic: 3000,     // 3s - Crisis response activation  
-      decay: 3000,     // 3s - Cellular breakdown phase
-      death: 2000,     // 2s - Final neural discharge
-      total: 32000,    // 32s - Complete lifecycle duration
-      opacityMultiplier: 1.0  // Visual fade synchronization
-    },
-    
-    // METAMORPHOSIS PROTOCOL - Ocean descent transformation
-    // (Technical: Pirate mode transition timings)
-    pirate: {
-      fadeOutDuration: 3000,   // Document dissolution
-      colorShiftDuration: 7000, // Spectral realignment
-      fadeInDuration: 2000,     // Reward manifestation
-      opacityMultiplier: 1.2   // Accelerated fade coefficient
-    }
-  },
-  
-  // ==========================================
-  // CHROMATIC GENETICS - Phosphor emission spectra
-  // (Technical: RGB color values for each lifecycle stage)
-  // ==========================================
-  
-  colors: {
-    // HEALTHY SPECIMEN - Orange CRT phosphorescence
-    // (Technical: Starting state colors)
-    healthy: {
-      core: { r: 122, g: 31, b: 8 },      // Deep organ glow
-      glow: { r: 255, g: 107, b: 43 },     // Phosphor corona
-      text: { r: 255, g: 120, b: 70 },     // Neural activity
-      textOpacity: 1.0                      // Full consciousness
-    },
-    
-    // PANIC RESPONSE - Blood-red emergency state
-    // (Technical: Danger state colors)
-    panic: {
-      core: { r: 138, g: 10, b: 2 },       // Adrenaline surge
-      glow: { r: 255, g: 60, b: 30 },      // Heightened emission
-      text: { r: 255, g: 90, b: 50 },      // Elevated signals
-      textOpacity: 1.0                      // Hypervigilance
-    },
-    
-    // DECAY PHASE - Amber phosphor deterioration
-    // (Technical: Borges yellow fade)
-    decay: {
-      core: { r: 74, g: 58, b: 26 },       // Failing metabolism
-      glow: { r: 100, g: 100, b: 80 },     // Weakening corona
-      text: { r: 120, g: 105, b: 80 },     // Neural decline
-      textOpacity: 0.7                      // Fading awareness
-    },
-    
-    // DEATH STATE - Monochrome with residual warmth
-    // (Technical: Final state before termination)
-    death: {
-      core: { r: 40, g: 40, b: 35 },       // Minimal life signs
-      glow: { r: 60, g: 60, b: 55 },       // Ghost phosphor
-      text: { r: 80, g: 80, b: 75 },       // Neural death
-      textOpacity: 0.0                      // Consciousness void
-    },
-    
-    // METAMORPHOSIS - Deep ocean transformation
-    // (Technical: Pirate reward state)
-    pirate: {
-      core: { r: 0, g: 20, b: 40 },        // Abyssal depths
-      glow: { r: 0, g: 200, b: 255 },      // Bioluminescence
-      text: { r: 220, g: 240, b: 255 },    // Cyan signals
-      textOpacity: 1.0                      // Fully visible and readable
-    }
-  },
-  
-  // ==========================================
-  // RESPIRATORY RHYTHM - Opacity pulsation cycles
-  // (Technical: Breathing animation parameters)
-  // ==========================================
-  
-  breathing: {
-    healthy: {
-      speed: 6,          // Relaxed metabolism
-      opacityMin: 0.7,   // Exhale depth
-      opacityMax: 0.85   // Inhale peak
-    },
-    panic: {
-      speed: 3,          // Hyperventilation
-      opacityMin: 0.5,   // Gasping
-      opacityMax: 0.95   // Desperate intake
-    },
-    decay: {
-      speed: 12,         // Labored breathing
-      opacityMin: 0.3,   // Shallow exhale
-      opacityMax: 0.5    // Weak inhale
-    },
-    death: {
-      speed: 0,          // Respiratory arrest
-      opacityMin: 0.2,   // Flatline
-      opacityMax: 0.2    // No variance
-    },
-    pirate: {
-      speed: 8,          // Ocean rhythm
-      opacityMin: 0.7,   // Tidal ebb
-      opacityMax: 0.9    // Tidal flow
-    }
-  },
-  
-  // ==========================================
-  // PERIPHERAL VISION DECAY - Edge darkness encroachment
-  // (Technical: CSS vignette effect parameters)
-  // ==========================================
-  
-  vignette: {
-    healthy: {
-      radius: 85,        // Wide field of vision
-      opacity: 0.02      // Minimal tunnel effect
-    },
-    panic: {
-      radius: 65,        // Tunnel vision onset
-      opacity: 0.15      // Stress response
-    },
-    decay: {
-      radius: 50,        // Severe constriction
-      opacity: 0.4       // Heavy darkness
-    },
-    death: {
-      radius: 40,        // Minimal vision
-      opacity: 0.6       // Near-blindness
-    },
-    pirate: {
-      radius: 75,        // Ocean expanse
-      opacity: 0.35      // Depth pressure
-    }
-  },
-  
-  // ==========================================
-  // ELECTRON SCAN LINES - CRT phosphor refresh rate
-  // (Technical: Scanline animation settings)
-  // ==========================================
-  
-  scanlines: {
-    healthy: {
-      opacity: 0.1,      // Subtle interference
-      speed: 2.5         // Normal refresh
-    },
-    panic: {
-      opacity: 0.45,     // Heavy static
-      speed: 1.5         // Rapid scanning
-    },
-    decay: {
-      opacity: 0.20,     // Moderate noise
-      speed: 5           // Failing sync
-    },
-    death: {
-      opacity: 0.2,      // Ghost traces
-      speed: 12          // Lost vertical hold
-    },
-    pirate: {
-      opacity: 0.25,     // Ocean static
-      speed: 3           // Wave rhythm
-    }
-  },
-  
-  // ==========================================
-  // OPTICAL DETERIORATION - Focus degradation
-  // (Technical: CSS blur filter values in pixels)
-  // ==========================================
-  
-  blur: {
-    healthy: {
-      title: 0.3,        // Sharp cognition
-      text: 0.2,         // Clear perception
-      pirate: 0.2        // Alert state
-    },
-    panic: {
-      title: 0.5,        // Stress blur
-      text: 0.4,         // Adrenaline shake
-      pirate: 0.15       // Hyperalert
-    },
-    decay: {
-      title: 2.5,        // Severe degradation
-      text: 2.2,         // Vision failure
-      pirate: 1.2        // Confused state
-    },
-    death: {
-      title: 8.0,        // Complete defocus
-      text: 8.0,         // Blindness
-      pirate: 8.0        // Void
-    },
-    pirate: {
-      title: 0.2,        // Dissolved
-      text: 0.2,         // Dissolved
-      pirate: 0.2        // Dissolved
-    }
-  },
-  
-  // ==========================================
-  // PHOSPHOR GLOW INTENSITY - Text shadow emission
-  // (Technical: CSS text-shadow spread and intensity)
-  // ==========================================
-  
-  textShadow: {
-    healthy: {
-      spread: 40,        // Strong emission
-      intensity: 0.3     // Moderate glow
-    },
-    panic: {
-      spread: 60,        // Expanded corona
-      intensity: 0.6     // Intense radiation
-    },
-    decay: {
-      spread: 10,        // Weakening field
-      intensity: 0.1     // Dim phosphor
-    },
-    death: {
-      spread: 5,         // Minimal emission
-      intensity: 0.05    // Ghost glow
-    },
-    pirate: {
-      spread: 50,        // Bioluminescent
-      intensity: 0.5     // Ocean glow
-    }
-  },
-  
-  // ==========================================
-  // POWER FLUCTUATION - CRT voltage instability
-  // (Technical: Flicker animation parameters)
-  // ==========================================
-  
-  flicker: {
-    healthy: {
-      speed: 0.3,        // Stable voltage
-      brightness: 1.0    // Full power
-    },
-    panic: {
-      speed: 0.15,       // Nervous fluctuation
-      brightness: 0.95   // Slight dimming
-    },
-    decay: {
-      speed: 0.08,       // Violent instability
-      brightness: 0.85   // Power loss
-    },
-    death: {
-      speed: 0.04,       // Desperate flicker
-      brightness: 0.7    // Critical failure
-    },
-    pirate: {
-      speed: 0.05,       // Transition flicker
-      brightness: 0.75   // Phase shift
-    }
-  },
-  
-  // ==========================================
-  // SENSORY RESPONSE CONFIGURATION
-  // (Technical: User interaction event settings)
-  // ==========================================
-  
-  interaction: {
-    resetEvents: [       // Stimuli that reset decay
-      'scroll',          // Visual tracking
-      'mousemove',       // Cursor presence
-      'click',           // Direct contact
-      'touchstart',      // Tactile input
-      'keydown'          // Keyboard activity
-    ],
-    throttleMs: 100      // Reaction latency
-  },
-  
-};
-
-// ==========================================
-// METABOLIC HELPER FUNCTIONS
-// (Technical: Utility methods for accessing current state)
-// ==========================================
-
-// RETRIEVE ACTIVE METABOLISM - Returns standard timing set
-// (Technical: Always returns the 32-second lifecycle)
-CONFIG.getCurrentTimings = function() {
-  return this.timings.standard;
-};
-
-// CALCULATE TOTAL LIFESPAN - Returns organism duration
-// (Technical: Always returns 32000ms)
-CONFIG.getTotalLifespan = function() {
-  return this.timings.standard.total;
-};
-
-// VALIDATION REMOVED - No console output in production
-// (Technical: All debug logging eliminated for sterile deployment)
\ No newline at end of file
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: ORGANISM CONSTANTS ARCHIVE
+ * RETRIEVAL: October 2025, Tlönian Research Facility
+ * ============================================
+ * 
+ * STATUS: Operational
+ * FUNCTION: Central nervous system constants - all vital signs originate here
+ * DEPENDENCIES: None (primary organ, all others feed from this)
+ * 
+ * SURGICAL NOTES:
+ * This archive contains the genetic blueprint for specimen behavior.
+ * All timing DNA, color genetics, and metabolic rates are encoded here.
+ * Modification of these constants will mutate the organism's fundamental
+ * nature. Handle with appropriate containment protocols.
+ * 
+ * The specimen exhibits a consistent 32-second lifecycle from birth
+ * to natural death, allowing observers to witness complete metamorphosis.
+ * Gallery (5 minute) and brutal (8 second) metabolisms are available for
+ * kiosk installations and starved variants.
+ * ============================================
+ */
+
+const CONFIG = {
+  
+  // ==========================================
+  // LIFECYCLE DNA - Metabolic timing sequences
+  // (Technical: Duration of each decay stage in milliseconds)
+  // ==========================================
+  
+  // ACTIVE METABOLISM - Which lifecycle profile governs the specimen
+  // (Technical: Key into timings; overridden by ?profile=, <html data-profile>
+  //  or decay.setProfile(name))
+  profile: 'standard',
+  
+  timings: {
+    // GALLERY METABOLISM - Slow kiosk lifecycle
+    // (Technical: 5-minute total lifespan for installations)
+    gallery: {
+      healthy: 270000, // 4.5min - Long contemplative phosphorescence
+      panic: 12000,    // 12s - Drawn-out crisis
+      decay: 10000,    // 10s - Slow cellular breakdown
+      death: 8000,     // 8s - Lingering discharge
+      total: 300000,   // 5min - Complete lifecycle duration
+      opacityMultiplier: 1.0  // Visual fade synchronization
+    },
+    
+    // STANDARD METABOLISM - Natural organism lifecycle
+    // (Technical: 32-second total lifespan on the web)
+    standard: {
+      healthy: 24000,  // 24s - Stable phosphorescence period
+      panic: 3000,     // 3s - Crisis response activation  
+      decay: 3000,     // 3s - Cellular breakdown phase
+      death: 2000,     // 2s - Final neural discharge
+      total: 32000,    // 32s - Complete lifecycle duration
+      opacityMultiplier: 1.0  // Visual fade synchronization
+    },
+    
+    // BRUTAL METABOLISM - Starved organism
+    // (Technical: 8-second total lifespan)
+    brutal: {
+      healthy: 5000,   // 5s - Brief stability
+      panic: 1200,     // 1.2s - Immediate crisis
+      decay: 1000,     // 1s - Rapid breakdown
+      death: 800,      // 0.8s - Sudden discharge
+      total: 8000,     // 8s - Complete lifecycle duration
+      opacityMultiplier: 1.0  // Visual fade synchronization
+    },
+    
+    // METAMORPHOSIS PROTOCOL - Ocean descent transformation
+    // (Technical: Pirate mode transition timings)
+    pirate: {
+      fadeOutDuration: 3000,   // Document dissolution
+      colorShiftDuration: 7000, // Spectral realignment
+      fadeInDuration: 2000,     // Reward manifestation
+      opacityMultiplier: 1.2   // Accelerated fade coefficient
+    }
+  },
+  
+  // ==========================================
+  // METAMORPHIC PATHWAYS - Lifecycle stage graph
+  // (Technical: Stage order, successors and terminal behavior. Durations come
+  //  from the active timing profile by stage name, or a node's own duration.)
+  // ==========================================
+  //
+  // Node anatomy:
+  //   next      - successor stage, or branches [{ to, when(decay) }, ...]
+  //               evaluated in order once the stage's time runs out
+  //   terminal  - what happens when no successor exists:
+  //               'death' | 'pirate' | 'rebirth'
+  //   duration  - ms, for stages the timing profiles do not list
+  //   from      - 'previous' to interpolate visuals from whichever stage
+  //               preceded it (transitions) instead of the graph predecessor
+  //   visuals   - borrow every visual table entry from another stage
+  //   fadeTiming - timing set whose opacityMultiplier speeds the text fade:
+  //               'profile' (active metabolism) or a timings key
+  //   beam      - BeamModule response:
+  //               speed       seconds per sweep, 0 = blind
+  //               orientation 'vertical' | 'horizontal' | 'diagonal' | 'raster',
+  //                           or a list cycled across simultaneous beams
+  //               count       simultaneous beams (default 1)
+  //               phases      per-beam phase offsets 0..1 (default evenly spread)
+  //               motion      'sweep' (restart each pass) | 'tide' (there and back)
+  //               lines       raster scanlines per sweep (default 24)
+  //               trail       raster trace length, fraction of the width (default 0.2)
+  //   particles - ParticleDrift response:
+  //               opacity     atmosphere visibility multiplier
+  //               survivors   fraction of particles left alive (others fade out)
+  //               motion      physics, see ParticleDrift.resolveMotion:
+  //                           { rise, current, drag, turbulence, jitter, clump, settle }
+  
+  stages: {
+    initial: 'healthy',
+    graph: {
+      // VITAL STATE - Calm observation
+      healthy: {
+        next: 'panic',
+        beam: { speed: 8 },                       // Calm observation
+        particles: {                              // Full atmosphere, calm rise
+          opacity: 1.0,
+          motion: { rise: 1, drag: 1.5, turbulence: 4 }
+        }
+      },
+      
+      // CRISIS STATE - Frantic searching
+      panic: {
+        next: 'decay',
+        beam: {                                   // Frantic multi-beam search
+          speed: 5,
+          count: 3,
+          orientation: ['vertical', 'diagonal', 'horizontal'],
+          phases: [0, 0.37, 0.71]
+        },
+        particles: {                              // Slight thinning, jittery turbulence
+          opacity: 0.8,
+          motion: { rise: 1.4, drag: 2, turbulence: 40, jitter: 160 }
+        }
+      },
+      
+      // FAILING STATE - Sluggish drift
+      decay: {
+        next: 'death',
+        beam: { speed: 15 },                      // Sluggish drift
+        particles: {                              // Heavy degradation, sinking in clumps
+          opacity: 0.5,
+          survivors: 0.4,
+          motion: { rise: -0.35, drag: 1, turbulence: 6, clump: 0.25 }
+        }
+      },
+      
+      // TERMINAL STATE - Vision cessation
+      death: {
+        terminal: 'death',
+        fadeTiming: 'profile',
+        beam: { speed: 0 },                       // Vision cessation
+        particles: {                              // Near vacuum, sediment settling
+          opacity: 0.2,
+          survivors: 0.25,
+          motion: { rise: -3, drag: 2, settle: true }
+        }
+      },
+      
+      // METAMORPHOSIS - Entered by transition, never by elapsed time
+      pirate: {
+        from: 'previous',
+        fadeTiming: 'pirate',
+        beam: { speed: 12, orientation: 'horizontal', motion: 'tide' }, // Slow horizontal tide
+        particles: {                              // Clear water, slow lateral current
+          opacity: 1.0,
+          motion: { rise: 0.15, current: 0.8, drag: 0.8, turbulence: 8 }
+        }
+      }
+    }
+  },
+  
+  // ==========================================
+  // CHROMATIC GENETICS - Phosphor emission spectra
+  // (Technical: RGB color values for each lifecycle stage)
+  // ==========================================
+  
+  colors: {
+    // HEALTHY SPECIMEN - Orange CRT phosphorescence
+    // (Technical: Starting state colors)
+    healthy: {
+      core: { r: 122, g: 31, b: 8 },      // Deep organ glow
+      glow: { r: 255, g: 107, b: 43 },     // Phosphor corona
+      text: { r: 255, g: 120, b: 70 },     // Neural activity
+      textOpacity: 1.0                      // Full consciousness
+    },
+    
+    // PANIC RESPONSE - Blood-red emergency state
+    // (Technical: Danger state colors)
+    panic: {
+      core: { r: 138, g: 10, b: 2 },       // Adrenaline surge
+      glow: { r: 255, g: 60, b: 30 },      // Heightened emission
+      text: { r: 255, g: 90, b: 50 },      // Elevated signals
+      textOpacity: 1.0                      // Hypervigilance
+    },
+    
+    // DECAY PHASE - Amber phosphor deterioration
+    // (Technical: Borges yellow fade)
+    decay: {
+      core: { r: 74, g: 58, b: 26 },       // Failing metabolism
+      glow: { r: 100, g: 100, b: 80 },     // Weakening corona
+      text: { r: 120, g: 105, b: 80 },     // Neural decline
+      textOpacity: 0.7                      // Fading awareness
+    },
+    
+    // DEATH STATE - Monochrome with residual warmth
+    // (Technical: Final state before termination)
+    death: {
+      core: { r: 40, g: 40, b: 35 },       // Minimal life signs
+      glow: { r: 60, g: 60, b: 55 },       // Ghost phosphor
+      text: { r: 80, g: 80, b: 75 },       // Neural death
+      textOpacity: 0.0                      // Consciousness void
+    },
+    
+    // METAMORPHOSIS - Deep ocean transformation
+    // (Technical: Pirate reward state)
+    pirate: {
+      core: { r: 0, g: 20, b: 40 },        // Abyssal depths
+      glow: { r: 0, g: 200, b: 255 },      // Bioluminescence
+      text: { r: 220, g: 240, b: 255 },    // Cyan signals
+      textOpacity: 1.0                      // Fully visible and readable
+    }
+  },
+  
+  // ==========================================
+  // WARNING PIGMENTS - Danger/corruption coloration
+  // (Technical: RGB for redacted text and pirate comments per stage)
+  // ==========================================
+  
+  danger: {
+    healthy: { r: 200, g: 30, b: 30 },    // Fresh arterial red
+    panic: { r: 200, g: 50, b: 40 },      // Alarm bloom
+    decay: { r: 140, g: 80, b: 50 },      // Oxidizing rust
+    death: { r: 80, g: 75, b: 70 },       // Dried residue
+    pirate: { r: 200, g: 30, b: 30 }      // Signal flag red
+  },
+  
+  // ==========================================
+  // BEAM PIGMENTS - Electron beam coloration
+  // (Technical: Optional RGB per stage; empty = the beam follows the glow.
+  //  Theme packs fill it to colour the beam apart from the phosphor)
+  // ==========================================
+  
+  beamColors: {},
+  
+  // ==========================================
+  // RESPIRATORY RHYTHM - Opacity pulsation cycles
+  // (Technical: Breathing animation parameters)
+  // ==========================================
+  
+  breathing: {
+    healthy: {
+      speed: 6,          // Relaxed metabolism
+      opacityMin: 0.7,   // Exhale depth
+      opacityMax: 0.85   // Inhale peak
+    },
+    panic: {
+      speed: 3,          // Hyperventilation
+      opacityMin: 0.5,   // Gasping
+      opacityMax: 0.95   // Desperate intake
+    },
+    decay: {
+      speed: 12,         // Labored breathing
+      opacityMin: 0.3,   // Shallow exhale
+      opacityMax: 0.5    // Weak inhale
+    },
+    death: {
+      speed: 0,          // Respiratory arrest
+      opacityMin: 0.2,   // Flatline
+      opacityMax: 0.2    // No variance
+    },
+    pirate: {
+      speed: 8,          // Ocean rhythm
+      opacityMin: 0.7,   // Tidal ebb
+      opacityMax: 0.9    // Tidal flow
+    }
+  },
+  
+  // ==========================================
+  // PERIPHERAL VISION DECAY - Edge darkness encroachment
+  // (Technical: CSS vignette effect parameters)
+  // ==========================================
+  
+  vignette: {
+    healthy: {
+      radius: 85,        // Wide field of vision
+      opacity: 0.02      // Minimal tunnel effect
+    },
+    panic: {
+      radius: 65,        // Tunnel vision onset
+      opacity: 0.15      // Stress response
+    },
+    decay: {
+      radius: 50,        // Severe constriction
+      opacity: 0.4       // Heavy darkness
+    },
+    death: {
+      radius: 40,        // Minimal vision
+      opacity: 0.6       // Near-blindness
+    },
+    pirate: {
+      radius: 75,        // Ocean expanse
+      opacity: 0.35      // Depth pressure
+    }
+  },
+  
+  // ==========================================
+  // ELECTRON SCAN LINES - CRT phosphor refresh rate
+  // (Technical: Scanline animation settings)
+  // ==========================================
+  
+  scanlines: {
+    healthy: {
+      opacity: 0.1,      // Subtle interference
+      speed: 2.5         // Normal refresh
+    },
+    panic: {
+      opacity: 0.45,     // Heavy static
+      speed: 1.5         // Rapid scanning
+    },
+    decay: {
+      opacity: 0.20,     // Moderate noise
+      speed: 5           // Failing sync
+    },
+    death: {
+      opacity: 0.2,      // Ghost traces
+      speed: 12          // Lost vertical hold
+    },
+    pirate: {
+      opacity: 0.25,     // Ocean static
+      speed: 3           // Wave rhythm
+    }
+  },
+  
+  // ==========================================
+  // OPTICAL DETERIORATION - Focus degradation
+  // (Technical: CSS blur filter values in pixels)
+  // ==========================================
+  
+  blur: {
+    healthy: {
+      title: 0.3,        // Sharp cognition
+      text: 0.2,         // Clear perception
+      pirate: 0.2        // Alert state
+    },
+    panic: {
+      title: 0.5,        // Stress blur
+      text: 0.4,         // Adrenaline shake
+      pirate: 0.15       // Hyperalert
+    },
+    decay: {
+      title: 2.5,        // Severe degradation
+      text: 2.2,         // Vision failure
+      pirate: 1.2        // Confused state
+    },
+    death: {
+      title: 8.0,        // Complete defocus
+      text: 8.0,         // Blindness
+      pirate: 8.0        // Void
+    },
+    pirate: {
+      title: 0.2,        // Dissolved
+      text: 0.2,         // Dissolved
+      pirate: 0.2        // Dissolved
+    }
+  },
+  
+  // ==========================================
+  // PHOSPHOR GLOW INTENSITY - Text shadow emission
+  // (Technical: CSS text-shadow spread and intensity)
+  // ==========================================
+  
+  textShadow: {
+    healthy: {
+      spread: 40,        // Strong emission
+      intensity: 0.3     // Moderate glow
+    },
+    panic: {
+      spread: 60,        // Expanded corona
+      intensity: 0.6     // Intense radiation
+    },
+    decay: {
+      spread: 10,        // Weakening field
+      intensity: 0.1     // Dim phosphor
+    },
+    death: {
+      spread: 5,         // Minimal emission
+      intensity: 0.05    // Ghost glow
+    },
+    pirate: {
+      spread: 50,        // Bioluminescent
+      intensity: 0.5     // Ocean glow
+    }
+  },
+  
+  // ==========================================
+  // POWER FLUCTUATION - CRT voltage instability
+  // (Technical: Flicker animation parameters)
+  // ==========================================
+  
+  flicker: {
+    healthy: {
+      speed: 0.3,        // Stable voltage
+      brightness: 1.0    // Full power
+    },
+    panic: {
+      speed: 0.15,       // Nervous fluctuation
+      brightness: 0.95   // Slight dimming
+    },
+    decay: {
+      speed: 0.08,       // Violent instability
+      brightness: 0.85   // Power loss
+    },
+    death: {
+      speed: 0.04,       // Desperate flicker
+      brightness: 0.7    // Critical failure
+    },
+    pirate: {
+      speed: 0.05,       // Transition flicker
+      brightness: 0.75   // Phase shift
+    }
+  },
+  
+  // ==========================================
+  // GENERATIVE SCORE - How the hum sickens
+  // (Technical: LeakWormAudio parameters, interpolated from the stage's origin
+  //  by progress exactly like the visual tables above)
+  // ==========================================
+  
+  score: {
+    healthy: {
+      freq: 60,          // Mains hum fundamental (Hz)
+      volume: 1.0,       // Hum level (× volume setting)
+      detune: 0,         // Harmonic drift in cents (beating)
+      cutoff: 2400,      // Lowpass over hum, noise and heartbeat (Hz)
+      noise: 0.05,       // Noise floor (× volume setting)
+      pulse: 0,          // Heartbeat strength (0 = silent)
+      bpm: 56,           // Heartbeat tempo
+      wow: 0,            // Tape wow depth (cents)
+      wowRate: 0.5       // Tape wow speed (Hz)
+    },
+    panic: {
+      freq: 57,          // Sagging supply
+      volume: 0.85,
+      detune: 6,         // Harmonics start to beat
+      cutoff: 1600,
+      noise: 0.12,       // Static creeping in
+      pulse: 1.0,        // Heart pounding...
+      bpm: 150,          // ...faster the longer it lasts
+      wow: 3,
+      wowRate: 0.9
+    },
+    decay: {
+      freq: 52,          // Failing supply
+      volume: 0.6,
+      detune: 18,        // Sour beating
+      cutoff: 700,       // Muffled, waterlogged
+      noise: 0.25,
+      pulse: 0.35,       // Heart weakening
+      bpm: 64,
+      wow: 45,           // Stretched tape
+      wowRate: 0.35
+    },
+    death: {
+      freq: 48,          // Brownout
+      volume: 0.3,
+      detune: 30,
+      cutoff: 250,
+      noise: 0.4,
+      pulse: 0,          // Flatline
+      bpm: 30,
+      wow: 80,
+      wowRate: 0.15
+    },
+    pirate: {
+      freq: 60,          // Schumann carrier takes over
+      volume: 1.0,
+      detune: 2,
+      cutoff: 1200,      // Heard through water
+      noise: 0.08,       // Surf hiss
+      pulse: 0,
+      bpm: 56,
+      wow: 6,            // Slow swell
+      wowRate: 0.12
+    }
+  },
+  
+  // ==========================================
+  // BEAM RECEPTORS - What the electron beam can feel
+  // (Technical: Default targets for BeamModule.collisions; elements opt in
+  //  themselves with data-beam="impact|fizz|silent|none" and data-beam-range)
+  // ==========================================
+  
+  beamTargets: {
+    defaultRange: 40,      // Approach radius in px (data-beam-range overrides)
+    selectors: {           // Built-in anatomy, by sound category
+      impact: '.gate-title, .screen-title, .reward-title, .pirate-comment',
+      fizz: '.blink-dot, .reward-dot, .screen-subtitle, .reward-subtitle, .reward-header, ' +
+            '.sub-subtitle, .sentence, .list-item, .detail-text',
+      silent: '.membrane-input, .callout-text, .equation-label, .parenthetical, .redacted-text, ' +
+              '.quote, .membrane-button, .footer-tag, .footer-credit'
+    }
+  },
+  
+  // ==========================================
+  // HIDDEN LAYERS - What the beam reveals
+  // (Technical: Timing for data-reveal elements, see BeamModule.revealLayer)
+  // ==========================================
+  
+  reveal: {
+    lingerMs: 1500,        // Swapped/overlaid truth stays this long after the beam leaves
+    typeSpeed: 40,         // ms per character when a note is typed out
+    holdMs: 5000           // Typed note stays this long before it is taken back
+  },
+  
+  // ==========================================
+  // ATMOSPHERE - Particle drift rendering
+  // (Technical: ParticleDrift renderer choice and population scale)
+  // ==========================================
+  
+  particles: {
+    renderer: 'auto',      // 'auto' | 'webgl' | 'canvas' | 'dom' (auto: webgl → canvas → dom)
+    density: 1,            // Multiplies every layer's count - canvas renderers take thousands
+    scatter: {             // Cursor repulsion
+      radius: 140,         // px
+      strength: 1800       // px/s² at the cursor, fading to 0 at the radius
+    }
+  },
+  
+  // ==========================================
+  // SENSORY RESPONSE CONFIGURATION
+  // (Technical: User interaction event settings - wired by decay.attachStimuli,
+  //  custom sources join via decay.registerStimulus)
+  // ==========================================
+  
+  interaction: {
+    resetEvents: [       // Stimuli that reset decay
+      'scroll',          // Visual tracking
+      'mousemove',       // Cursor presence
+      'click',           // Direct contact
+      'touchstart',      // Tactile input
+      'keydown'          // Keyboard activity
+    ],
+    throttleMs: 100      // Reaction latency (per stimulus kind)
+  },
+  
+  // ==========================================
+  // LONG-TERM MEMORY - Survival across reloads
+  // (Technical: memory.js persistence settings)
+  // ==========================================
+  
+  persistence: {
+    enabled: false,        // Amnesiac by default
+    storage: 'local',      // 'local' survives the browser, 'session' only the tab;
+                           // only 'session' keeps the unsealing key (no gate on reload)
+    key: 'leak-worm-847t', // Storage slot
+    policy: 'mourn',       // On return: 'resume' | 'mourn' (away time is neglect)
+                           //            | 'rebirth' (fresh lifecycle)
+    saveIntervalMs: 1000   // Engraving frequency
+  },
+  
+  // ==========================================
+  // SPECIMEN REGISTRY - Books hosted by this deployment
+  // (Technical: bookshelf.js picks one via #/book/<name> or ?book=<name>)
+  // ==========================================
+  
+  books: {
+    default: 'portfolio',
+    registry: {
+      portfolio: {
+        script: 'book-of-thresholds.js', // Script declaring bookContent
+        permanentPirateMode: true        // Ocean aesthetic, no decay cycle
+      }
+      // cycle1022: {
+      //   manifest: 'books/cycle1022/book.sealed.json', // book-loader.js manifest
+      //   title: 'LEAKWORM_CYCLE1022',                  // Document title
+      //   permanentPirateMode: false,                   // Full lifecycle
+      //   config: { profile: 'standard' }               // Deep-merged CONFIG overrides
+      // }
+    }
+  },
+  
+  // ==========================================
+  // PIGMENT STRAINS - Theme packs
+  // (Technical: themes.js; ?theme=<name> or <html data-theme> picks one at
+  //  birth, themes.apply(name) swaps it live. A pack is JSON holding any subset
+  //  of the visual tables (colors, danger, beamColors, breathing, vignette,
+  //  scanlines, blur, textShadow, flicker), deep merged over the CONFIG genome)
+  // ==========================================
+  
+  themes: {
+    default: null,            // Pack worn at birth; null = the genome as written above
+    crossfade: 1500,          // ms to blend one pack into the next (0 = swap at once)
+    registry: {
+      'p1-green': 'themes/p1-green.json',           // P1 phosphor oscilloscope
+      amber: 'themes/amber.json',                   // Amber monochrome terminal
+      'paper-fax': 'themes/paper-fax.json',         // White thermal fax, cold and dry
+      'high-contrast': 'themes/high-contrast.json'  // Steady, unblurred, maximum legibility
+    }
+  },
+  
+  // ==========================================
+  // NUTRIENT SOURCE - Where the book comes from
+  // (Technical: book-loader.js manifest; null uses the bundled bookContent)
+  // ==========================================
+  
+  content: {
+    manifest: null,           // Set by bookshelf.js for manifest books
+    allowPlaintext: false,    // Writer preview: accept unsealed passwords (never in production)
+    previewIterations: 1000   // PBKDF2 rounds for in-memory preview sealing
+  },
+  
+  // ==========================================
+  // MEMBRANE IMMUNITY - Failed passphrase response
+  // (Technical: membrane.js attempt tracker; always persisted in localStorage)
+  // ==========================================
+  
+  membrane: {
+    freeAttempts: 3,          // Misses tolerated before the membrane hardens
+    lockoutBaseMs: 2000,      // First lockout; doubles with every further miss
+    lockoutMaxMs: 300000,     // Scar tissue never exceeds five minutes
+    panicAfter: 5,            // Misses that wake the organism already in panic (0 = never)
+    panicStage: 'panic',      // Stage graph node entered when panicAfter is reached
+    key: 'leak-worm-847t-membrane' // Storage slot for the attempt record
+  },
+  
+  // ==========================================
+  // CALM MODE - Reduced motion for sensitive readers
+  // (Technical: accessibility.js; follows prefers-reduced-motion unless the
+  //  reader chose otherwise with the toggle, always persisted in localStorage.
+  //  announcements: screen-reader.js live region text per stage)
+  // ==========================================
+  
+  accessibility: {
+    key: 'leak-worm-847t-calm', // Storage slot for the reader's choice
+    calm: {
+      maxBlur: 0.3,             // px cap on title and body blur
+      minFlickerSpeed: 12,      // Flicker cycle never shorter than this (s)
+      minFlickerBrightness: 0.95 // Flicker never dims below this
+    },
+    announcements: {
+      healthy: 'Specimen stable. The document is fully legible.',
+      panic: 'Specimen in panic. The document is starting to fade.',
+      decay: 'Specimen decaying. The text is blurring away.',
+      death: 'Specimen has died. Access to the document is revoked.',
+      pirate: 'Specimen transformed. The document has been released.'
+    }
+  },
+  
+  // ==========================================
+  // REFLEXES - Keyboard control surface
+  // (Technical: keybindings.js; action → KeyboardEvent.key values, matched
+  //  case-insensitively. Keys typed into the passphrase input are ignored.
+  //  An empty list disables the action; the help overlay lists what remains)
+  // ==========================================
+  
+  keybindings: {
+    volumeUp: ['+', '='],     // One level louder (wakes the audio if asleep)
+    volumeDown: ['-', '_'],   // One level quieter
+    mute: ['m'],              // Silence, or back to the level before silence
+    pause: ['p'],             // Hold the heartbeat / let it beat again
+    nextScreen: ['n', 'j'],   // Scroll to the next archive segment
+    revive: ['r', 'Enter'],   // Death screen: begin a fresh life
+    proceed: ['Enter'],       // Reward screen: continue to the archive
+    calm: ['c'],              // Calm mode on/off
+    help: ['?', 'h'],         // Show / hide the reflex chart
+    close: ['Escape']         // Hide the reflex chart
+  },
+  
+  // ==========================================
+  // CIRCADIAN RHYTHM - Pacemaker behavior
+  // (Technical: AnimationFrameClock settings, see clock.js)
+  // ==========================================
+  
+  clock: {
+    hiddenPolicy: 'elapse' // 'elapse': neglect continues while the tab is hidden
+                           // 'suspend': organism sleeps until the tab returns
+  },
+  
+};
+
+// ==========================================
+// METABOLIC HELPER FUNCTIONS
+// (Technical: Utility methods for accessing current state)
+// ==========================================
+
+// RETRIEVE ACTIVE METABOLISM - Returns the selected timing profile
+// (Technical: Falls back to the 32-second standard lifecycle)
+CONFIG.getCurrentTimings = function() {
+  return this.getTimingProfile(this.profile) || this.timings.standard;
+};
+
+// CALCULATE TOTAL LIFESPAN - Returns organism duration
+// (Technical: Total of the active profile in ms)
+CONFIG.getTotalLifespan = function() {
+  return this.getCurrentTimings().total;
+};
+
+// METABOLISM LOOKUP - Named lifecycle profile
+// (Technical: Only timing sets with a total count as profiles - pirate does not)
+CONFIG.getTimingProfile = function(name) {
+  const timing = this.timings[name];
+  return timing && typeof timing.total === 'number' ? timing : null;
+};
+
+// METABOLISM CATALOGUE - All selectable profiles
+// (Technical: Names accepted by decay.setProfile)
+CONFIG.getProfileNames = function() {
+  return Object.keys(this.timings).filter(name => this.getTimingProfile(name));
+};
+
+// STAGE ANATOMY - Graph node lookup
+// (Technical: Returns the CONFIG.stages.graph node, or null)
+CONFIG.getStage = function(name) {
+  return this.stages.graph[name] || null;
+};
+
+// STAGE LIFESPAN - Time allotted to a stage
+// (Technical: Active profile entry wins over the node's own duration)
+CONFIG.getStageDuration = function(name) {
+  const timing = this.getCurrentTimings();
+  if (typeof timing[name] === 'number') return timing[name];
+  return this.getStage(name)?.duration ?? 0;
+};
+
+// STAGE ANCESTRY - Where a stage's visuals interpolate from
+// (Technical: Graph predecessor; the actual previous stage for 'from: previous'
+//  nodes or when several stages lead here; the stage itself when initial)
+CONFIG.getStageOrigin = function(name, previousStage) {
+  const node = this.getStage(name);
+  if (node?.from === 'previous') return previousStage || this.stages.initial;
+  if (name === this.stages.initial) return name;
+  
+  const predecessors = Object.keys(this.stages.graph).filter(candidate => {
+    const next = this.stages.graph[candidate].next;
+    if (typeof next === 'string') return next === name;
+    return Array.isArray(next) && next.some(branch => branch.to === name);
+  });
+  
+  if (predecessors.includes(previousStage)) return previousStage;
+  return predecessors[0] || name;
+};
+
+// STAGE PHENOTYPE - Visual table entry for a stage
+// (Technical: Falls back to the node's 'visuals' alias, then the initial stage)
+CONFIG.getStageVisual = function(table, name) {
+  const entries = this[table];
+  const alias = this.getStage(name)?.visuals;
+  return entries[name] ?? entries[alias] ?? entries[this.stages.initial];
+};
+
+// FADE ACCELERATION - Text opacity multiplier for a stage
+// (Technical: Resolved from the node's fadeTiming)
+CONFIG.getFadeMultiplier = function(name) {
+  const fadeTiming = this.getStage(name)?.fadeTiming;
+  if (!fadeTiming) return 1.0;
+  const timing = fadeTiming === 'profile' ? this.getCurrentTimings() : this.timings[fadeTiming];
+  return timing?.opacityMultiplier ?? 1.0;
+};
+
+// VALIDATION - Proofread outside production
+// (Technical: config-schema.js checks this genome in debug mode (?debug) and
+//  in `node tools/check-config.js`; production stays silent)
\ No newline at end of file
@@ -1,370 +1,709 @@
-/**
- * ============================================
- * SPECIMEN: JNNINNO-PROFESSIONAL-v1
- * ORGAN: LIFECYCLE CONTROLLER
- * RETRIEVAL: November 2025, Professional Portfolio Archive
- * ============================================
- * 
- * STATUS: Operational - Permanent Pirate Mode Variant
- * FUNCTION: Organism heartbeat - now supports permanent ocean aesthetic state
- * DEPENDENCIES: config.js (vital signs)
- * 
- * SURGICAL NOTES:
- * Modified for professional portfolio use. This variant supports two operational modes:
- * 
- * 1. STANDARD MODE: Original 32-second decay cycle (unused in this specimen)
- * 2. PERMANENT PIRATE MODE: Enters ocean aesthetic immediately and stays there
- *    indefinitely without decay cycle
- * 
- * For jnninno.com deployment, the organism enters permanent pirate mode upon
- * password authentication, maintaining stable ocean-depth visual aesthetic
- * without any lifecycle transitions or death sequences.
- * ============================================
- */
-
-const decay = {
-  
-  // ==========================================
-  // VITAL SIGNS MONITORING
-  // (Technical: State tracking variables)
-  // ==========================================
-  
-  stage: 'pirate',         // Start in pirate mode for professional site
-  progress: 0,             // Phase completion percentage
-  lastInteraction: null,   // Last stimulus timestamp
-  timer: null,             // Heartbeat interval ID
-  listeners: [],           // Neural pathway subscribers
-  isDead: false,           // Termination flag
-  permanentPirateMode: true, // NEW: Disable decay for professional site
-  
-  // METAMORPHOSIS STATE - Tracks transformation sequences
-  // (Technical: Transition state for smooth animations)
-  isTransitioning: false,
-  transitionStartTime: null,
-  transitionDuration: null,
-  transitionCallback: null,
-  transitionToStage: null,
-  previousStage: null,
-  
-  // ==========================================
-  // BIRTH SEQUENCE - Organism initialization
-  // (Technical: Starts the lifecycle in permanent pirate mode)
-  // ==========================================
-  
-  start() {
-    // SPECIMEN AWAKENING - First breath in ocean depths
-    // (Technical: Initialize state, skip decay if permanent pirate mode)
-    this.isDead = false;
-    this.isTransitioning = false;
-    this.lastInteraction = Date.now();
-    
-    if (this.permanentPirateMode) {
-      // PERMANENT OCEAN STATE - No decay cycle
-      // (Technical: Set to pirate and broadcast, no timer needed)
-      this.stage = 'pirate';
-      this.progress = 1.0; // Fully in pirate state
-      this.notify();
-      // No timer needed - we stay in pirate mode permanently
-    } else {
-      // STANDARD METABOLISM - Original 32s decay cycle
-      // (Technical: Update loop every 100ms)
-      this.timer = setInterval(() => this.update(), 100);
-      this.notify();
-    }
-  },
-  
-  // ==========================================
-  // REVIVAL RESPONSE - Stimulus processing
-  // (Technical: Reset decay on user interaction - unused in pirate mode)
-  // ==========================================
-  
-  reset() {
-    // DEFIBRILLATION PROTOCOL - Emergency revival
-    // (Technical: Reset timer unless dead, transitioning, or in permanent pirate mode)
-    if (this.isDead || this.isTransitioning || this.permanentPirateMode) return;
-    
-    this.lastInteraction = Date.now();
-  },
-  
-  // ==========================================
-  // METABOLIC PULSE - Core lifecycle loop
-  // (Technical: Main update function - bypassed in permanent pirate mode)
-  // ==========================================
-  
-  update() {
-    // PERMANENT STATE CHECK - Skip if in permanent pirate mode
-    // (Technical: No updates needed when permanently in pirate state)
-    if (this.permanentPirateMode) return;
-    
-    // TRANSFORMATION CHECK - Skip if metamorphosis active
-    // (Technical: Separate update path for transitions)
-    if (this.isTransitioning) {
-      this.updateTransition();
-      return;
-    }
-    
-    // DEATH CHECK - No pulse if terminated
-    // (Technical: Stop updates if organism is dead)
-    if (this.isDead) return;
-    
-    // METABOLIC CALCULATION - Time since last feeding
-    // (Technical: Calculate elapsed time and determine stage)
-    const elapsed = Date.now() - this.lastInteraction;
-    const timing = CONFIG.timings.standard;
-    const oldStage = this.stage;
-    
-    // PHASE DETERMINATION - Identify metabolic state
-    // (Technical: Calculate current stage based on elapsed time)
-    if (elapsed < timing.healthy) {
-      this.stage = 'healthy';
-      this.progress = elapsed / timing.healthy;
-      
-    } else if (elapsed < timing.healthy + timing.panic) {
-      this.stage = 'panic';
-      const timeInPanic = elapsed - timing.healthy;
-      this.progress = timeInPanic / timing.panic;
-      
-    } else if (elapsed < timing.healthy + timing.panic + timing.decay) {
-      this.stage = 'decay';
-      const timeInDecay = elapsed - timing.healthy - timing.panic;
-      this.progress = timeInDecay / timing.decay;
-      
-    } else if (elapsed < timing.healthy + timing.panic + timing.decay + timing.death) {
-      this.stage = 'death';
-      const timeInDeath = elapsed - timing.healthy - timing.panic - timing.decay;
-      this.progress = timeInDeath / timing.death;
-      
-      // TERMINAL CONDITION - Death stage complete
-      // (Technical: Trigger death transition when progress hits 100%)
-      if (this.progress >= 1.0) {
-        this.beginDeath();
-        return;
-      }
-      
-    } else {
-      // FAILSAFE TERMINATION - Backup death trigger
-      // (Technical: Ensure death if timing math fails)
-      this.beginDeath();
-      return;
-    }
-    
-    // SYNAPTIC TRANSMISSION - Broadcast state changes
-    // (Technical: Notify all subscribers of current state)
-    this.notify();
-  },
-  
-  // ==========================================
-  // METAMORPHOSIS ENGINE - Smooth transitions
-  // (Technical: Handles death and pirate transformations)
-  // ==========================================
-  
-  startTransition(toStage, duration, onComplete) {
-    // PHASE SHIFT INITIATION - Begin metamorphosis
-    // (Technical: Setup transition state and timers)
-    
-    // MEMORY PRESERVATION - Store pre-transition state
-    // (Technical: Save current stage before changing)
-    this.previousStage = this.stage;
-    
-    // HEARTBEAT SUSPENSION - Pause normal metabolism
-    // (Technical: Clear update timer during transition)
-    if (this.timer) {
-      clearInterval(this.timer);
-      this.timer = null;
-    }
-    
-    // TRANSFORMATION PARAMETERS - Configure metamorphosis
-    // (Technical: Set transition properties)
-    this.isTransitioning = true;
-    this.transitionStartTime = Date.now();
-    this.transitionDuration = duration;
-    this.transitionToStage = toStage;
-    this.transitionCallback = onComplete;
-    
-    // METAMORPHOSIS PULSE - Special transition heartbeat
-    // (Technical: Start transition update loop)
-    this.timer = setInterval(() => this.updateTransition(), 100);
-  },
-  
-  updateTransition() {
-    // TRANSFORMATION PROGRESS - Calculate metamorphosis completion
-    // (Technical: Update progress during transition)
-    const elapsed = Date.now() - this.transitionStartTime;
-    this.progress = Math.min(elapsed / this.transitionDuration, 1.0);
-    this.stage = this.transitionToStage;
-    
-    // NEURAL CASCADE - Inform all organs of transformation
-    // (Technical: Notify subscribers during transition)
-    this.notify();
-    
-    // METAMORPHOSIS COMPLETE - Execute callback
-    // (Technical: Clean up and run completion handler)
-    if (this.progress >= 1.0) {
-      clearInterval(this.timer);
-      this.timer = null;
-      this.isTransitioning = false;
-      
-      const callback = this.transitionCallback;
-      this.transitionCallback = null;
-      
-      if (callback) {
-        callback();
-      }
-    }
-  },
-  
-  // ==========================================
-  // DEATH PROTOCOL - Terminal sequence
-  // (Technical: Unused in permanent pirate mode)
-  // ==========================================
-  
-  beginDeath() {
-    // TERMINAL CASCADE - Irreversible shutdown
-    // (Technical: Start death transition if not already dead)
-    if (this.isDead) return;
-    
-    const timing = CONFIG.timings.standard;
-    const deathDuration = timing.death || 2000;
-    
-    // GASP REFLEX - Hide content at 75% death
-    // (Technical: Schedule UI changes at 3/4 through transition)
-    setTimeout(() => {
-      // FINAL EXHALE - Content dissolution
-      // (Technical: Hide main container and prepare death screen)
-      const pageContainer = document.getElementById('pageContainer');
-      if (pageContainer) {
-        pageContainer.style.display = 'none';
-      }
-      
-      // DEATH RATTLE - Trigger terminal display
-      // (Technical: Call death screen preparation function)
-      if (window.prepareDeathScreen) {
-        window.prepareDeathScreen();
-      }
-    }, deathDuration * 0.75);
-    
-    // FLATLINE TRANSITION - Smooth fade to termination
-    // (Technical: Use transition system for death animation)
-    this.startTransition('death', deathDuration, () => {
-      // CLINICAL DEATH - Organism terminated
-      // (Technical: Set death flag when transition completes)
-      this.isDead = true;
-    });
-  },
-  
-  // ==========================================
-  // OCEAN METAMORPHOSIS - Pirate transformation
-  // (Technical: Unused in permanent pirate mode - we start there)
-  // ==========================================
-  
-  enterPirateMode(onFadeComplete) {
-    // ABYSSAL DESCENT - Transform to ocean consciousness
-    // (Technical: Start pirate mode transition)
-    
-    const fadeOutDuration = CONFIG.timings.pirate.fadeOutDuration || 3000;
-    const fullDuration = CONFIG.timings.pirate.colorShiftDuration || 7000;
-    
-    // SPECTRAL SHIFT - Begin color transformation
-    // (Technical: Start transition with full duration)
-    this.startTransition('pirate', fullDuration, () => {
-      // DEPTH REACHED - Ocean floor achieved
-      // (Technical: Hide content when transition completes)
-      this.isDead = true;
-      
-      const pageContainer = document.getElementById('pageContainer');
-      if (pageContainer) {
-        pageContainer.style.display = 'none';
-      }
-    });
-    
-    // PRESSURE EQUALIZATION - Mid-transition callback
-    // (Technical: Trigger reward screen at fade point)
-    setTimeout(() => {
-      if (onFadeComplete) {
-        onFadeComplete();
-      }
-    }, fadeOutDuration);
-  },
-  
-  // ==========================================
-  // NEURAL NETWORK - Pub/sub system
-  // (Technical: Observer pattern implementation)
-  // ==========================================
-  
-  subscribe(callback) {
-    // SYNAPTIC CONNECTION - Add neural pathway
-    // (Technical: Register callback for state updates)
-    if (typeof callback !== 'function') {
-      return;
-    }
-    this.listeners.push(callback);
-  },
-  
-  notify() {
-    // NEURAL BROADCAST - Transmit state to all organs
-    // (Technical: Call all registered listeners)
-    this.listeners.forEach(callback => {
-      try {
-        callback(this.stage, this.progress);
-      } catch (error) {
-        // Silent failure - organism continues
-      }
-    });
-  },
-  
-  // ==========================================
-  // SURGICAL TOOLS - Manual intervention
-  // (Technical: Debug methods for testing)
-  // ==========================================
-  
-  setStage(stage, progress = 0) {
-    // FORCED MUTATION - Manual stage override
-    // (Technical: Set stage directly for testing)
-    this.stage = stage;
-    this.progress = progress;
-    this.notify();
-  },
-  
-  pause() {
-    // METABOLIC SUSPENSION - Freeze lifecycle
-    // (Technical: Stop timer without killing organism)
-    if (this.timer) {
-      clearInterval(this.timer);
-      this.timer = null;
-    }
-  },
-  
-  resume() {
-    // REVIVAL PROTOCOL - Restart metabolism
-    // (Technical: Resume timer if organism is alive and not in permanent pirate mode)
-    if (!this.timer && !this.isDead && !this.isTransitioning && !this.permanentPirateMode) {
-      this.timer = setInterval(() => this.update(), 100);
-    }
-  },
-  
-  // ==========================================
-  // DISPOSAL PROTOCOL - Clean termination
-  // (Technical: Cleanup method)
-  // ==========================================
-  
-  destroy() {
-    // SPECIMEN DISPOSAL - Complete cleanup
-    // (Technical: Clear all timers and listeners)
-    if (this.timer) {
-      clearInterval(this.timer);
-      this.timer = null;
-    }
-    this.listeners = [];
-    this.isDead = false;
-    this.isTransitioning = false;
-  }
-};
-
-// ==========================================
-// DEPENDENCY CHECK - Verify required organs
-// (Technical: Ensure config.js is loaded)
-// ==========================================
-
-if (typeof CONFIG === 'undefined') {
-  console.error('⚠ decay-core.js requires config.js to be loaded first!');
+/**
+ * ============================================
+ * SPECIMEN: JNNINNO-PROFESSIONAL-v1
+ * ORGAN: LIFECYCLE CONTROLLER
+ * RETRIEVAL: November 2025, Professional Portfolio Archive
+ * ============================================
+ * 
+ * STATUS: Operational - Permanent Pirate Mode Variant
+ * FUNCTION: Organism heartbeat - now supports permanent ocean aesthetic state
+ * DEPENDENCIES: config.js (vital signs), clock.js (pacemaker)
+ * 
+ * SURGICAL NOTES:
+ * Modified for professional portfolio use. This variant supports two operational modes:
+ * 
+ * 1. STANDARD MODE: Original 32-second decay cycle (unused in this specimen)
+ * 2. PERMANENT PIRATE MODE: Enters ocean aesthetic immediately and stays there
+ *    indefinitely without decay cycle
+ * 
+ * For jnninno.com deployment, the organism enters permanent pirate mode upon
+ * password authentication, maintaining stable ocean-depth visual aesthetic
+ * without any lifecycle transitions or death sequences.
+ * ============================================
+ */
+
+const decay = {
+  
+  // ==========================================
+  // VITAL SIGNS MONITORING
+  // (Technical: State tracking variables)
+  // ==========================================
+  
+  stage: 'pirate',         // Start in pirate mode for professional site
+  progress: 0,             // Phase completion percentage
+  lastInteraction: null,   // Last stimulus timestamp
+  clock: null,             // Pacemaker (AnimationFrameClock unless injected)
+  isBeating: false,        // Heartbeat running flag
+  pausedAt: null,          // Suspension timestamp
+  scheduled: [],           // Clock-timed reflexes awaiting their moment
+  listeners: [],           // Neural pathway subscribers
+  isDead: false,           // Termination flag
+  permanentPirateMode: true, // NEW: Disable decay for professional site
+  
+  // SENSORY STATE - Registered stimulus receptors
+  // (Technical: Attention sources and per-kind throttle timestamps)
+  stimuli: [],
+  lastStimulus: {},
+  
+  // METAMORPHOSIS STATE - Tracks transformation sequences
+  // (Technical: Transition state for smooth animations)
+  isTransitioning: false,
+  transitionStartTime: null,
+  transitionDuration: null,
+  transitionCallback: null,
+  transitionToStage: null,
+  previousStage: null,
+  
+  // ==========================================
+  // BIRTH SEQUENCE - Organism initialization
+  // (Technical: Starts the lifecycle in permanent pirate mode)
+  // ==========================================
+  
+  start() {
+    // SPECIMEN AWAKENING - First breath in ocean depths
+    // (Technical: Initialize state, skip decay if permanent pirate mode)
+    this.isDead = false;
+    this.isTransitioning = false;
+    this.pausedAt = null;
+    this.lastInteraction = this.now();
+    
+    // METABOLIC SELECTION - Environment chooses lifespan
+    // (Technical: ?profile= or <html data-profile> override CONFIG.profile)
+    const requestedProfile = this.detectProfile();
+    if (requestedProfile) {
+      CONFIG.profile = requestedProfile;
+    }
+    
+    if (this.permanentPirateMode) {
+      // PERMANENT OCEAN STATE - No decay cycle
+      // (Technical: Set to pirate and broadcast, no timer needed)
+      this.stage = 'pirate';
+      this.progress = 1.0; // Fully in pirate state
+      this.notify();
+      // No timer needed - we stay in pirate mode permanently
+    } else {
+      // STANDARD METABOLISM - Profile-driven decay cycle
+      // (Technical: Update once per animation frame, first beat immediately)
+      this.startHeartbeat();
+      this.update();
+    }
+  },
+  
+  // ==========================================
+  // PACEMAKER - Frame heartbeat and time source
+  // (Technical: All lifecycle time flows through this.clock)
+  // ==========================================
+  
+  now() {
+    // INTERNAL CLOCK - Organism's sense of time
+    // (Technical: Lazily adopts the real-time clock)
+    if (!this.clock) {
+      this.clock = new AnimationFrameClock();
+    }
+    return this.clock.now();
+  },
+  
+  useClock(clock) {
+    // PACEMAKER TRANSPLANT - Swap the time source
+    // (Technical: Rebase every timestamp so elapsed times survive the swap)
+    const previousNow = this.now();
+    const wasBeating = this.isBeating;
+    this.stopHeartbeat();
+    
+    this.clock = clock;
+    const shift = clock.now() - previousNow;
+    
+    if (this.lastInteraction !== null) this.lastInteraction += shift;
+    if (this.transitionStartTime !== null) this.transitionStartTime += shift;
+    if (this.pausedAt !== null) this.pausedAt += shift;
+    Object.keys(this.lastStimulus).forEach(kind => {
+      this.lastStimulus[kind] += shift;
+    });
+    this.scheduled.forEach(reflex => {
+      reflex.at += shift;
+    });
+    
+    if (wasBeating) this.startHeartbeat();
+    return clock;
+  },
+  
+  startHeartbeat() {
+    // CARDIAC IGNITION - Begin frame pulse
+    // (Technical: One tick per clock frame)
+    this.now();
+    this.isBeating = true;
+    this.clock.start(() => this.tick());
+  },
+  
+  stopHeartbeat() {
+    // CARDIAC REST - Halt frame pulse
+    // (Technical: Scheduled reflexes wait for the next heartbeat)
+    if (this.clock) this.clock.stop();
+    this.isBeating = false;
+  },
+  
+  tick() {
+    // SINGLE BEAT - Fire due reflexes, then advance metabolism
+    // (Technical: Transitions and normal updates share the heartbeat)
+    const now = this.now();
+    const due = this.scheduled.filter(reflex => reflex.at <= now);
+    this.scheduled = this.scheduled.filter(reflex => reflex.at > now);
+    due.forEach(reflex => reflex.callback());
+    
+    if (!this.isBeating) return;
+    
+    if (this.isTransitioning) {
+      this.updateTransition();
+    } else {
+      this.update();
+    }
+  },
+  
+  schedule(delay, callback) {
+    // DELAYED REFLEX - Clock-timed callback
+    // (Technical: setTimeout replacement that honours virtual clocks and pauses)
+    this.scheduled.push({ at: this.now() + delay, callback });
+  },
+  
+  // ==========================================
+  // METABOLIC PROFILES - Named lifespans
+  // (Technical: Select CONFIG.timings profiles at runtime)
+  // ==========================================
+  
+  detectProfile() {
+    // ENVIRONMENTAL SENSING - Read habitat preference
+    // (Technical: URL parameter wins over data attribute; unknown names ignored)
+    const fromUrl = new URLSearchParams(window.location.search).get('profile');
+    const fromAttribute = document.documentElement.dataset.profile;
+    
+    return [fromUrl, fromAttribute].find(name => name && CONFIG.getTimingProfile(name)) || null;
+  },
+  
+  setProfile(name) {
+    // METABOLIC TRANSPLANT - Swap lifespan mid-life
+    // (Technical: Rescale elapsed time so lifecycle progress is preserved)
+    const nextTiming = CONFIG.getTimingProfile(name);
+    if (!nextTiming) return false;
+    
+    const previousTiming = CONFIG.getCurrentTimings();
+    CONFIG.profile = name;
+    
+    if (this.isDead || this.permanentPirateMode || this.lastInteraction === null) return true;
+    
+    // Frozen time is not lived time - resume() shifts past the pause itself
+    const now = this.pausedAt ?? this.now();
+    
+    if (this.isTransitioning) {
+      // DEATH RESCALE - Stretch the flatline to the new lifespan
+      // (Technical: Only the death transition is profile-timed)
+      if (this.transitionToStage === 'death') {
+        this.transitionDuration = nextTiming.death;
+        this.transitionStartTime = now - this.progress * nextTiming.death;
+      }
+      return true;
+    }
+    
+    const lifeFraction = (now - this.lastInteraction) / previousTiming.total;
+    this.lastInteraction = now - lifeFraction * nextTiming.total;
+    
+    if (this.isBeating) {
+      this.update();
+    }
+    return true;
+  },
+  
+  // ==========================================
+  // MEMORY INTERFACE - Lifecycle snapshots
+  // (Technical: Serializable state for memory.js)
+  // ==========================================
+  
+  snapshot() {
+    // ENGRAM CAPTURE - Current vital signs
+    // (Technical: Elapsed neglect excludes paused time; a death in progress counts as death)
+    const reference = this.pausedAt !== null ? this.pausedAt : this.now();
+    
+    return {
+      stage: this.stage,
+      progress: this.progress,
+      elapsed: this.lastInteraction === null ? 0 : reference - this.lastInteraction,
+      isDead: this.isDead || (this.isTransitioning && this.transitionToStage === 'death'),
+      profile: CONFIG.profile
+    };
+  },
+  
+  restore(snapshot, awayMs = 0, policy = 'resume') {
+    // ENGRAM REPLAY - Resume a remembered life
+    // (Technical: Call after start(); returns 'dead' when the organism is (or becomes) dead)
+    if (snapshot.profile && !this.detectProfile()) {
+      this.setProfile(snapshot.profile);
+    }
+    
+    if (policy === 'rebirth' || this.permanentPirateMode) return 'alive';
+    
+    if (snapshot.isDead) {
+      this.beginDeath();
+      return 'dead';
+    }
+    
+    // ABANDONMENT ARITHMETIC - Away time counts as neglect when mourning
+    const elapsed = snapshot.elapsed + (policy === 'mourn' ? awayMs : 0);
+    this.lastInteraction = this.now() - elapsed;
+    this.update();
+    
+    return this.isTransitioning && this.transitionToStage === 'death' ? 'dead' : 'alive';
+  },
+  
+  skipTo(stageName) {
+    // TRAUMATIC AWAKENING - Jump straight into a later stage
+    // (Technical: Backdate lastInteraction to the stage's start along the graph walk;
+    //  false when the stage is unreachable or the lifecycle is frozen)
+    if (this.permanentPirateMode || this.isDead || this.isTransitioning) return false;
+    
+    let current = CONFIG.stages.initial;
+    let stageStart = 0;
+    
+    for (let hops = 0; current && hops <= 64; hops++) {
+      if (current === stageName) {
+        this.lastInteraction = this.now() - stageStart;
+        this.update();
+        return true;
+      }
+      stageStart += CONFIG.getStageDuration(current);
+      current = this.resolveNextStage(current);
+    }
+    return false;
+  },
+  
+  // ==========================================
+  // REVIVAL RESPONSE - Stimulus processing
+  // (Technical: Reset decay on user interaction - unused in pirate mode)
+  // ==========================================
+  
+  reset() {
+    // DEFIBRILLATION PROTOCOL - Emergency revival
+    // (Technical: Reset timer unless dead, transitioning, or in permanent pirate mode)
+    if (this.isDead || this.isTransitioning || this.permanentPirateMode) return;
+    
+    this.lastInteraction = this.now();
+  },
+
+  // ==========================================
+  // SENSORY APPARATUS - Stimulus subsystem
+  // (Technical: Pluggable attention sources feeding the revival response)
+  // ==========================================
+
+  stimulate(kind = 'manual', weight = 1) {
+    // NERVE IMPULSE - Weighted stimulus arrival
+    // (Technical: Throttled per kind; weight 1 fully resets, 0.5 forgives half the neglect.
+    //  A paused organism feels nothing - its time is frozen)
+    if (this.isDead || this.isTransitioning || this.permanentPirateMode) return;
+    if (this.pausedAt !== null) return;
+
+    const now = this.now();
+    const throttleMs = CONFIG.interaction.throttleMs || 0;
+    if (kind in this.lastStimulus && now - this.lastStimulus[kind] < throttleMs) return;
+    this.lastStimulus[kind] = now;
+
+    const strength = Math.max(0, Math.min(1, weight));
+    this.lastInteraction += (now - this.lastInteraction) * strength;
+  },
+
+  registerStimulus(kind, attach) {
+    // RECEPTOR GRAFT - Add a new sense organ
+    // (Technical: attach(stimulate) wires the source and returns its teardown)
+    if (typeof attach !== 'function') return null;
+
+    const teardown = attach((weight = 1) => this.stimulate(kind, weight));
+    const receptor = { kind, teardown: typeof teardown === 'function' ? teardown : null };
+    this.stimuli.push(receptor);
+
+    return () => this.removeStimulus(receptor);
+  },
+
+  removeStimulus(receptor) {
+    // RECEPTOR EXCISION - Sever a single sense organ
+    // (Technical: Run teardown and drop from registry)
+    const index = this.stimuli.indexOf(receptor);
+    if (index === -1) return;
+
+    this.stimuli.splice(index, 1);
+    if (receptor.teardown) {
+      try {
+        receptor.teardown();
+      } catch (error) {
+        // Silent failure - organism continues
+      }
+    }
+  },
+
+  attachStimuli() {
+    // SENSORY AWAKENING - Wire configured stimuli
+    // (Technical: Register every CONFIG.interaction.resetEvents entry on document)
+    CONFIG.interaction.resetEvents.forEach(eventName => {
+      this.registerStimulus(eventName, this.stimulusSources.event(eventName));
+    });
+  },
+
+  detachStimuli() {
+    // SENSORY DEPRIVATION - Sever all receptors
+    // (Technical: Tear down every registered source)
+    this.stimuli.slice().forEach(receptor => this.removeStimulus(receptor));
+    this.lastStimulus = {};
+  },
+
+  // RECEPTOR LIBRARY - Ready-made sense organs
+  // (Technical: Factories returning attach functions for registerStimulus)
+  stimulusSources: {
+    event(eventName, target = document, weight = 1) {
+      // TACTILE RECEPTOR - Any DOM event
+      return (stimulate) => {
+        const handler = () => stimulate(weight);
+        target.addEventListener(eventName, handler, { passive: true });
+        return () => target.removeEventListener(eventName, handler);
+      };
+    },
+
+    visibility(weight = 1) {
+      // RETINAL RECEPTOR - Reader returns to the tab
+      return (stimulate) => {
+        const handler = () => {
+          if (document.visibilityState === 'visible') stimulate(weight);
+        };
+        document.addEventListener('visibilitychange', handler);
+        return () => document.removeEventListener('visibilitychange', handler);
+      };
+    },
+
+    intersection(elements, weight = 0.5, options = { threshold: 0.5 }) {
+      // GAZE RECEPTOR - Watched elements enter the viewport
+      return (stimulate) => {
+        const observer = new IntersectionObserver((entries) => {
+          if (entries.some(entry => entry.isIntersecting)) stimulate(weight);
+        }, options);
+        const targets = elements instanceof Element ? [elements] : Array.from(elements);
+        targets.forEach(el => observer.observe(el));
+        return () => observer.disconnect();
+      };
+    }
+  },
+
+  // ==========================================
+  // METABOLIC PULSE - Core lifecycle loop
+  // (Technical: Main update function - bypassed in permanent pirate mode)
+  // ==========================================
+  
+  update() {
+    // PERMANENT STATE CHECK - Skip if in permanent pirate mode
+    // (Technical: No updates needed when permanently in pirate state)
+    if (this.permanentPirateMode) return;
+    
+    // TRANSFORMATION CHECK - Skip if metamorphosis active
+    // (Technical: Separate update path for transitions)
+    if (this.isTransitioning) {
+      this.updateTransition();
+      return;
+    }
+    
+    // DEATH CHECK - No pulse if terminated
+    // (Technical: Stop updates if organism is dead)
+    if (this.isDead) return;
+    
+    // METABOLIC CALCULATION - Time since last feeding
+    // (Technical: Calculate elapsed time and determine stage)
+    const elapsed = this.now() - this.lastInteraction;
+    const oldStage = this.stage;
+    
+    // PHASE DETERMINATION - Walk the metamorphic pathways
+    // (Technical: Follow CONFIG.stages.graph from the initial stage, consuming
+    //  each stage's duration until elapsed time lands inside one)
+    let stageName = CONFIG.stages.initial;
+    let stageStart = 0;
+    let hops = 0;
+    
+    while (true) {
+      const duration = CONFIG.getStageDuration(stageName);
+      
+      if (elapsed < stageStart + duration) {
+        this.stage = stageName;
+        this.progress = (elapsed - stageStart) / duration;
+        break;
+      }
+      
+      stageStart += duration;
+      const nextStage = this.resolveNextStage(stageName);
+      
+      // TERMINAL CONDITION - Pathway exhausted
+      // (Technical: Run the final node's terminal behavior; the hop limit is a
+      //  failsafe against zero-duration cycles)
+      if (!nextStage || ++hops > 64) {
+        this.completeLifecycle(CONFIG.getStage(stageName)?.terminal);
+        return;
+      }
+      
+      stageName = nextStage;
+    }
+    
+    // LINEAGE TRACKING - Remember where we came from
+    // (Technical: Used by branching stages to pick their visual origin)
+    if (this.stage !== oldStage) {
+      this.previousStage = oldStage;
+    }
+    
+    // SYNAPTIC TRANSMISSION - Broadcast state changes
+    // (Technical: Notify all subscribers of current state)
+    this.notify();
+  },
+  
+  resolveNextStage(stageName) {
+    // PATHWAY SELECTION - Choose the successor stage
+    // (Technical: Plain string successor, or first branch whose condition holds)
+    const next = CONFIG.getStage(stageName)?.next;
+    if (!next) return null;
+    if (typeof next === 'string') return next;
+    
+    const branch = next.find(candidate => !candidate.when || candidate.when(this));
+    return branch ? branch.to : null;
+  },
+  
+  completeLifecycle(terminal) {
+    // FINAL FATE - Terminal behavior of the last stage
+    // (Technical: Dispatch on the graph node's terminal field)
+    if (terminal === 'pirate') {
+      // OCEAN ESCAPE - Page-level pirate sequence when present
+      // (Technical: startPirateMode also brings in reward screen and audio)
+      if (window.startPirateMode) {
+        window.startPirateMode();
+      } else {
+        this.enterPirateMode();
+      }
+    } else if (terminal === 'rebirth') {
+      this.lastInteraction = this.now();
+    } else {
+      this.beginDeath();
+    }
+  },
+  
+  // ==========================================
+  // METAMORPHOSIS ENGINE - Smooth transitions
+  // (Technical: Handles death and pirate transformations)
+  // ==========================================
+  
+  startTransition(toStage, duration, onComplete) {
+    // PHASE SHIFT INITIATION - Begin metamorphosis
+    // (Technical: Setup transition state and timers)
+    
+    // MEMORY PRESERVATION - Store pre-transition state
+    // (Technical: Save current stage before changing)
+    this.previousStage = this.stage;
+    
+    // TRANSFORMATION PARAMETERS - Configure metamorphosis
+    // (Technical: Set transition properties)
+    this.isTransitioning = true;
+    this.transitionStartTime = this.now();
+    this.transitionDuration = duration;
+    this.transitionToStage = toStage;
+    this.transitionCallback = onComplete;
+    
+    // METAMORPHOSIS PULSE - Transition heartbeat
+    // (Technical: tick() routes frames to updateTransition while transitioning)
+    if (!this.isBeating) {
+      this.startHeartbeat();
+    }
+  },
+  
+  updateTransition() {
+    // TRANSFORMATION PROGRESS - Calculate metamorphosis completion
+    // (Technical: Update progress during transition)
+    const elapsed = this.now() - this.transitionStartTime;
+    this.progress = Math.min(elapsed / this.transitionDuration, 1.0);
+    this.stage = this.transitionToStage;
+    
+    // NEURAL CASCADE - Inform all organs of transformation
+    // (Technical: Notify subscribers during transition)
+    this.notify();
+    
+    // METAMORPHOSIS COMPLETE - Execute callback
+    // (Technical: Clean up and run completion handler)
+    if (this.progress >= 1.0) {
+      this.stopHeartbeat();
+      this.isTransitioning = false;
+      
+      const callback = this.transitionCallback;
+      this.transitionCallback = null;
+      
+      if (callback) {
+        callback();
+      }
+    }
+  },
+  
+  // ==========================================
+  // DEATH PROTOCOL - Terminal sequence
+  // (Technical: Unused in permanent pirate mode)
+  // ==========================================
+  
+  beginDeath() {
+    // TERMINAL CASCADE - Irreversible shutdown
+    // (Technical: Start death transition if not already dead)
+    if (this.isDead) return;
+    
+    const deathDuration = CONFIG.getStageDuration('death') || 2000;
+    
+    // GASP REFLEX - Hide content at 75% death
+    // (Technical: Schedule UI changes at 3/4 through transition)
+    this.schedule(deathDuration * 0.75, () => {
+      // FINAL EXHALE - Content dissolution
+      // (Technical: Hide main container and prepare death screen)
+      const pageContainer = document.getElementById('pageContainer');
+      if (pageContainer) {
+        pageContainer.style.display = 'none';
+      }
+      
+      // DEATH RATTLE - Trigger terminal display
+      // (Technical: Call death screen preparation function)
+      if (window.prepareDeathScreen) {
+        window.prepareDeathScreen();
+      }
+    });
+    
+    // FLATLINE TRANSITION - Smooth fade to termination
+    // (Technical: Use transition system for death animation)
+    this.startTransition('death', deathDuration, () => {
+      // CLINICAL DEATH - Organism terminated
+      // (Technical: Set death flag when transition completes)
+      this.isDead = true;
+    });
+  },
+  
+  // ==========================================
+  // OCEAN METAMORPHOSIS - Pirate transformation
+  // (Technical: Unused in permanent pirate mode - we start there)
+  // ==========================================
+  
+  enterPirateMode(onFadeComplete) {
+    // ABYSSAL DESCENT - Transform to ocean consciousness
+    // (Technical: Start pirate mode transition)
+    
+    const fadeOutDuration = CONFIG.timings.pirate.fadeOutDuration;
+    const fullDuration = CONFIG.timings.pirate.colorShiftDuration;
+    
+    // SPECTRAL SHIFT - Begin color transformation
+    // (Technical: Start transition with full duration)
+    this.startTransition('pirate', fullDuration, () => {
+      // DEPTH REACHED - Ocean floor achieved
+      // (Technical: Hide content when transition completes)
+      this.isDead = true;
+      
+      const pageContainer = document.getElementById('pageContainer');
+      if (pageContainer) {
+        pageContainer.style.display = 'none';
+      }
+    });
+    
+    // PRESSURE EQUALIZATION - Mid-transition callback
+    // (Technical: Trigger reward screen at fade point)
+    this.schedule(fadeOutDuration, () => {
+      if (onFadeComplete) {
+        onFadeComplete();
+      }
+    });
+  },
+  
+  // ==========================================
+  // NEURAL NETWORK - Pub/sub system
+  // (Technical: Observer pattern implementation)
+  // ==========================================
+  
+  subscribe(callback) {
+    // SYNAPTIC CONNECTION - Add neural pathway
+    // (Technical: Register callback for state updates)
+    if (typeof callback !== 'function') {
+      return;
+    }
+    this.listeners.push(callback);
+  },
+  
+  notify() {
+    // NEURAL BROADCAST - Transmit state to all organs
+    // (Technical: Call all registered listeners)
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.stage, this.progress);
+      } catch (error) {
+        // Silent failure - organism continues
+      }
+    });
+  },
+  
+  // ==========================================
+  // SURGICAL TOOLS - Manual intervention
+  // (Technical: Debug methods for testing)
+  // ==========================================
+  
+  setStage(stage, progress = 0) {
+    // FORCED MUTATION - Manual stage override
+    // (Technical: Set stage directly for testing)
+    this.stage = stage;
+    this.progress = progress;
+    this.notify();
+  },
+  
+  pause() {
+    // METABOLIC SUSPENSION - Freeze lifecycle
+    // (Technical: Stop heartbeat without killing organism; time stops with it)
+    if (this.isBeating) {
+      this.stopHeartbeat();
+      this.pausedAt = this.now();
+    }
+  },
+  
+  resume() {
+    // REVIVAL PROTOCOL - Restart metabolism
+    // (Technical: Shift timestamps past the pause, then restart the heartbeat
+    //  if the organism is alive and not in permanent pirate mode)
+    if (this.isBeating || this.isDead || this.permanentPirateMode) return;
+    
+    if (this.pausedAt !== null) {
+      const now = this.now();
+      const pausedFor = now - this.pausedAt;
+      // Never credit neglect past the present (reset() may have run mid-pause)
+      if (this.lastInteraction !== null) this.lastInteraction = Math.min(this.lastInteraction + pausedFor, now);
+      if (this.transitionStartTime !== null) this.transitionStartTime += pausedFor;
+      this.scheduled.forEach(reflex => {
+        reflex.at += pausedFor;
+      });
+      this.pausedAt = null;
+    }
+    
+    this.startHeartbeat();
+  },
+  
+  // ==========================================
+  // DISPOSAL PROTOCOL - Clean termination
+  // (Technical: Cleanup method)
+  // ==========================================
+  
+  destroy() {
+    // SPECIMEN DISPOSAL - Complete cleanup
+    // (Technical: Stop heartbeat, drop reflexes, listeners and stimulus sources)
+    this.stopHeartbeat();
+    this.scheduled = [];
+    this.pausedAt = null;
+    this.detachStimuli();
+    this.listeners = [];
+    this.isDead = false;
+    this.isTransitioning = false;
+  }
+};
+
+// ==========================================
+// DEPENDENCY CHECK - Verify required organs
+// (Technical: Ensure config.js is loaded)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('⚠ decay-core.js requires config.js to be loaded first!');
+}
+if (typeof AnimationFrameClock === 'undefined') {
+  console.error('⚠ decay-core.js requires clock.js to be loaded first!');
 }
\ No newline at end of file
@@ -0,0 +1,573 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: DISSECTION TRAY (developer tool)
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational - opt-in, ?inspect
+ * FUNCTION: Live tuning panel for designers - no reload, no developer
+ * DEPENDENCIES: config.js, decay-core.js (setStage, pause, resume),
+ *               index.html (applyDecayVisuals, window.beam, window.particles),
+ *               themes.js (visual table list),
+ *               config-schema.js (slider ranges, optional),
+ *               leak-worm-audio.js (window.leakAudio, optional)
+ *
+ * SURGICAL NOTES:
+ * Tuning the organism used to mean editing config.js and reloading into
+ * a fresh 32-second life. With ?inspect in the URL this tray opens beside
+ * the specimen:
+ * - LIFECYCLE  stage/progress readout, a timeline scrubber across the timed
+ *              stages, a stage picker for the rest; scrubbing holds the
+ *              heartbeat (decay.pause) so the organism stays where it is put
+ * - GENOME     a control for every entry of every visual table, written
+ *              straight into CONFIG and shown through applyDecayVisuals
+ * - BEAM       scan speed of the current stage, hold/release
+ * - ATMOSPHERE particle density (ParticleDrift.setDensity)
+ * - AUDIO      the live Web Audio graph, recorded as the organ connects it
+ * - EXPORT     every CONFIG change since the tray opened, as JSON shaped for
+ *              a book's config overrides (CONFIG.books) - or, for the visual
+ *              tables alone, a theme pack
+ *
+ * Scrubbing into death is one-way for the audio: the death sequence
+ * silences the hum until reload.
+ * ============================================
+ */
+
+const inspector = {
+
+  // ==========================================
+  // TRAY STATE
+  // (Technical: Panel elements, CONFIG baseline, recorded audio edges)
+  // ==========================================
+
+  panel: null,          // #inspector root
+  fields: {},           // Live-updated elements by role
+  baseline: null,       // JSON snapshot of CONFIG when the tray opened
+  edges: null,          // WeakMap AudioNode → Set of targets (nodes or params)
+  graphTimer: null,     // Audio graph refresh while its section is open
+  shownStage: null,     // Stage the beam controls currently describe
+
+  isRequested() {
+    return new URLSearchParams(window.location.search).has('inspect');
+  },
+
+  // ==========================================
+  // LIFECYCLE MAP - Timed stages end to end
+  // (Technical: Initial stage onward along the graph's first branches,
+  //  durations from the active profile - same walk as LeakWormRecorder.lifecycle)
+  // ==========================================
+
+  timeline() {
+    const stages = [];
+    let at = 0;
+    let name = CONFIG.stages.initial;
+
+    while (name && !stages.some(entry => entry.stage === name)) {
+      const node = CONFIG.getStage(name);
+      const duration = CONFIG.getStageDuration(name);
+      stages.push({ stage: name, at, duration });
+      at += duration;
+      name = typeof node.next === 'string' ? node.next : node.next?.[0]?.to;
+    }
+    return { stages, total: at };
+  },
+
+  locate(fraction) {
+    const { stages, total } = this.timeline();
+    const time = fraction * total;
+    const entry = stages.filter(candidate => candidate.at <= time).pop() || stages[0];
+    const progress = entry.duration > 0 ? Math.min(1, (time - entry.at) / entry.duration) : 1;
+    return { stage: entry.stage, progress };
+  },
+
+  position(stage, progress) {
+    const { stages, total } = this.timeline();
+    const entry = stages.find(candidate => candidate.stage === stage);
+    if (!entry || total === 0) return null;
+    return (entry.at + entry.duration * progress) / total;
+  },
+
+  scrub(stage, progress) {
+    // SURGICAL HOLD - The organism stays where it is put
+    decay.pause();
+    decay.setStage(stage, progress);
+    this.updateHold();
+  },
+
+  // ==========================================
+  // CONTROL SYNTHESIS - Small DOM helpers
+  // ==========================================
+
+  element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  },
+
+  section(title, open = false) {
+    const details = this.element('details', 'inspector-section');
+    details.open = open;
+    details.appendChild(this.element('summary', null, title));
+    this.fields.body.appendChild(details);
+    return details;
+  },
+
+  slider({ label, min, max, step, value, onInput }) {
+    const row = this.element('label', 'inspector-row');
+    const input = this.element('input');
+    const readout = this.element('output', null, this.format(value));
+
+    input.type = 'range';
+    Object.assign(input, { min, max, step, value });
+    input.addEventListener('input', () => {
+      const number = parseFloat(input.value);
+      readout.textContent = this.format(number);
+      onInput(number);
+    });
+
+    row.append(this.element('span', null, label), input, readout);
+    return { row, input, readout };
+  },
+
+  button(label, onClick) {
+    const button = this.element('button', 'inspector-button', label);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  },
+
+  format(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  },
+
+  // ==========================================
+  // LIFECYCLE - Readout, scrubber, stage picker
+  // ==========================================
+
+  buildLifecycle() {
+    const details = this.section('LIFECYCLE', true);
+
+    this.fields.readout = this.element('div', 'inspector-readout');
+    details.appendChild(this.fields.readout);
+
+    const scrubber = this.slider({
+      label: 'timeline', min: 0, max: 1, step: 0.001, value: 0,
+      onInput: fraction => {
+        const { stage, progress } = this.locate(fraction);
+        this.scrub(stage, progress);
+      }
+    });
+    this.fields.scrubber = scrubber;
+    details.appendChild(scrubber.row);
+
+    const picker = this.element('select', 'inspector-select');
+    Object.keys(CONFIG.stages.graph).forEach(stage => picker.appendChild(new Option(stage, stage)));
+    picker.addEventListener('change', () => this.scrub(picker.value, parseFloat(this.fields.progress.input.value)));
+    this.fields.picker = picker;
+
+    const progress = this.slider({
+      label: 'progress', min: 0, max: 1, step: 0.01, value: 0,
+      onInput: value => this.scrub(picker.value, value)
+    });
+    this.fields.progress = progress;
+
+    const pickRow = this.element('label', 'inspector-row');
+    pickRow.append(this.element('span', null, 'stage'), picker);
+    details.append(pickRow, progress.row);
+
+    this.fields.hold = this.button('', () => {
+      if (decay.pausedAt !== null) {
+        decay.resume();
+      } else {
+        decay.pause();
+      }
+      this.updateHold();
+    });
+    details.appendChild(this.fields.hold);
+    this.updateHold();
+  },
+
+  updateHold() {
+    const held = decay.pausedAt !== null || !decay.isBeating;
+    this.fields.hold.textContent = held ? '▶ RELEASE HEARTBEAT' : '⏸ HOLD HEARTBEAT';
+  },
+
+  updateReadout(stage, progress) {
+    this.fields.readout.textContent = `${stage} · ${(progress * 100).toFixed(1)}%`;
+
+    if (document.activeElement !== this.fields.scrubber.input) {
+      const fraction = this.position(stage, progress);
+      if (fraction !== null) this.fields.scrubber.input.value = fraction;
+    }
+    if (document.activeElement !== this.fields.picker) this.fields.picker.value = stage;
+    if (document.activeElement !== this.fields.progress.input) {
+      this.fields.progress.input.value = progress;
+      this.fields.progress.readout.textContent = this.format(progress);
+    }
+
+    if (stage !== this.shownStage) {
+      this.shownStage = stage;
+      this.showBeamSpeed();
+    }
+  },
+
+  // ==========================================
+  // GENOME - Every visual table entry
+  // (Technical: Ranges from config-schema.js where it knows them; RGB
+  //  triples as color pickers; writes go straight into CONFIG)
+  // ==========================================
+
+  descriptorFor(table, field) {
+    if (typeof configSchema === 'undefined') return {};
+    configSchema.schema = configSchema.schema || configSchema.build();
+    const entry = configSchema.schema.fields[table]?.of;
+    return (field ? entry?.fields?.[field] : entry) || {};
+  },
+
+  toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('');
+  },
+
+  fromHex(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: value >> 16 & 255, g: value >> 8 & 255, b: value & 255 };
+  },
+
+  repaint() {
+    if (typeof applyDecayVisuals === 'function') applyDecayVisuals(decay.stage, decay.progress);
+  },
+
+  colorControl(label, value, onInput) {
+    const row = this.element('label', 'inspector-row');
+    const input = this.element('input');
+    input.type = 'color';
+    input.value = this.toHex(value);
+    input.addEventListener('input', () => onInput(this.fromHex(input.value)));
+    row.append(this.element('span', null, label), input);
+    return row;
+  },
+
+  numberControl(table, stage, field, value) {
+    const descriptor = this.descriptorFor(table, field);
+    const max = descriptor.max ?? Math.max(1, Math.ceil(Math.abs(value) * 3));
+    const min = descriptor.min ?? -max;
+
+    return this.slider({
+      label: field, min, max, step: (max - min) / 200, value,
+      onInput: number => {
+        CONFIG[table][stage][field] = number;
+        this.repaint();
+      }
+    }).row;
+  },
+
+  buildGenome() {
+    // The pigment gland's list - the tables a theme pack may carry
+    themes.tables.forEach(table => {
+      const details = this.section(`GENOME · ${table}`);
+
+      Object.keys(CONFIG.stages.graph).forEach(stage => {
+        const group = this.element('fieldset', 'inspector-stage');
+        group.appendChild(this.element('legend', null, stage));
+        const entry = CONFIG[table][stage];
+
+        if (table === 'danger' || table === 'beamColors') {
+          // Beam pigments start from the glow they would otherwise follow
+          const start = entry || CONFIG.getStageVisual('colors', stage).glow;
+          group.appendChild(this.colorControl('rgb', start, rgb => {
+            CONFIG[table][stage] = rgb;
+            this.repaint();
+          }));
+        } else if (entry) {
+          Object.entries(entry).forEach(([field, value]) => {
+            if (typeof value === 'number') {
+              group.appendChild(this.numberControl(table, stage, field, value));
+            } else if (value && typeof value.r === 'number') {
+              group.appendChild(this.colorControl(field, value, rgb => {
+                CONFIG[table][stage][field] = rgb;
+                this.repaint();
+              }));
+            }
+          });
+        } else {
+          group.appendChild(this.element('span', 'inspector-note', `borrows ${CONFIG.getStage(stage)?.visuals || CONFIG.stages.initial}`));
+        }
+        details.appendChild(group);
+      });
+    });
+  },
+
+  // ==========================================
+  // BEAM + ATMOSPHERE
+  // (Technical: Beam speed lives on the stage node; clearing beam.stage makes
+  //  the next sync rebuild the geometry at the new speed)
+  // ==========================================
+
+  buildBeam() {
+    const details = this.section('BEAM');
+
+    this.fields.beamSpeed = this.slider({
+      label: 'speed (s)', min: 0, max: 30, step: 0.5, value: 8,
+      onInput: speed => {
+        const node = CONFIG.getStage(decay.stage);
+        node.beam = { ...(node.beam || {}), speed };
+        if (window.beam) {
+          window.beam.stage = null;
+          window.beam.syncToDecay(decay.stage, decay.progress);
+        }
+      }
+    });
+    this.fields.beamStage = this.element('div', 'inspector-note');
+
+    const hold = this.button('⏸ HOLD BEAM', () => {
+      if (!window.beam) return;
+      if (window.beam.isPaused) {
+        window.beam.resume();
+      } else {
+        window.beam.pause();
+      }
+      hold.textContent = window.beam.isPaused ? '▶ RELEASE BEAM' : '⏸ HOLD BEAM';
+    });
+
+    details.append(this.fields.beamStage, this.fields.beamSpeed.row, hold);
+
+    const atmosphere = this.section('ATMOSPHERE');
+    const count = this.element('div', 'inspector-note');
+    const showCount = () => {
+      count.textContent = window.particles ? `${window.particles.particles.length} particles` : 'no particle field';
+    };
+
+    atmosphere.append(this.slider({
+      label: 'density', min: 0, max: 5, step: 0.1, value: CONFIG.particles.density,
+      onInput: density => {
+        if (!window.particles) return;
+        window.particles.setDensity(density);
+        showCount();
+      }
+    }).row, count);
+    showCount();
+  },
+
+  showBeamSpeed() {
+    const speed = CONFIG.getStage(this.shownStage)?.beam?.speed ?? 8;
+    this.fields.beamStage.textContent = `editing stage "${this.shownStage}"`;
+    this.fields.beamSpeed.input.value = speed;
+    this.fields.beamSpeed.readout.textContent = this.format(speed);
+  },
+
+  // ==========================================
+  // AUDIO GRAPH - Recorded connections
+  // (Technical: Web Audio cannot list a node's outputs, so connect and
+  //  disconnect are wrapped while the tray is open; WeakMap, so finished
+  //  one-shot voices are collected as usual)
+  // ==========================================
+
+  recordAudioEdges() {
+    if (typeof AudioNode === 'undefined') return;
+
+    const edges = this.edges = new WeakMap();
+    const connect = AudioNode.prototype.connect;
+    const disconnect = AudioNode.prototype.disconnect;
+
+    AudioNode.prototype.connect = function(target, ...rest) {
+      if (!edges.has(this)) edges.set(this, new Set());
+      edges.get(this).add(target);
+      return connect.call(this, target, ...rest);
+    };
+    AudioNode.prototype.disconnect = function(target, ...rest) {
+      if (target === undefined || typeof target === 'number') {
+        edges.delete(this);
+      } else if (edges.has(this)) {
+        edges.get(this).delete(target);
+      }
+      return disconnect.call(this, target, ...rest);
+    };
+  },
+
+  describeAudio() {
+    const audio = window.leakAudio;
+    if (!audio || !audio.ready) return 'audio asleep - click the page to wake it';
+
+    const names = new Map([[audio.context.destination, 'destination']]);
+    const params = new Map();
+    Object.entries(audio.nodes).forEach(([name, node]) => {
+      if (!node) return;
+      names.set(node, name);
+      ['frequency', 'detune', 'gain', 'pan', 'Q', 'playbackRate'].forEach(key => {
+        if (node[key] instanceof AudioParam) params.set(node[key], `${name}.${key}`);
+      });
+    });
+
+    const label = target => names.get(target) || params.get(target) ||
+      `(${target.constructor.name.replace(/Node$/, '')})`;
+
+    return Array.from(names.entries())
+      .filter(([node]) => node !== audio.context.destination)
+      .map(([node, name]) => {
+        const targets = Array.from(this.edges?.get(node) || []);
+        return targets.length > 0 ? `${name} → ${targets.map(label).join(', ')}` : `${name} (unrouted)`;
+      })
+      .join('\n');
+  },
+
+  buildAudio() {
+    const details = this.section('AUDIO GRAPH');
+    const graph = this.element('pre', 'inspector-graph');
+    details.appendChild(graph);
+
+    details.addEventListener('toggle', () => {
+      clearInterval(this.graphTimer);
+      if (!details.open) return;
+      const draw = () => { graph.textContent = this.describeAudio(); };
+      draw();
+      this.graphTimer = setInterval(draw, 1000);
+    });
+  },
+
+  // ==========================================
+  // EXPORT - CONFIG diff since the tray opened
+  // (Technical: JSON-able values only; the result deep merges like a
+  //  book's config overrides, see bookshelf.mergeInto)
+  // ==========================================
+
+  snapshot() {
+    return JSON.parse(JSON.stringify(CONFIG));
+  },
+
+  diff(before, after) {
+    if (JSON.stringify(before) === JSON.stringify(after)) return undefined;
+
+    const isPlain = value => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isPlain(before) || !isPlain(after)) return after;
+
+    const changes = {};
+    Object.keys(after).forEach(key => {
+      const change = this.diff(before[key], after[key]);
+      if (change !== undefined) changes[key] = change;
+    });
+    return changes;
+  },
+
+  buildExport() {
+    const details = this.section('EXPORT');
+    const output = this.element('textarea', 'inspector-export');
+    output.readOnly = true;
+    output.rows = 10;
+
+    details.append(this.button('EXPORT CONFIG DIFF', () => {
+      const changes = this.diff(this.baseline, this.snapshot()) || {};
+      output.value = JSON.stringify(changes, null, 2);
+      output.select();
+      if (navigator.clipboard) navigator.clipboard.writeText(output.value).catch(() => {});
+    }), output);
+  },
+
+  // ==========================================
+  // TRAY - Panel shell and its styles
+  // ==========================================
+
+  injectStyles() {
+    const style = document.createElement('style');
+    style.textContent = `
+      #inspector {
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 320px;
+        max-height: 100vh;
+        overflow-y: auto;
+        padding: 10px 12px;
+        box-sizing: border-box;
+        background: rgba(0, 0, 0, 0.92);
+        border-right: var(--membrane-border-width) solid rgba(var(--membrane-color), 0.45);
+        color: rgba(var(--membrane-color), 0.85);
+        font: 10px/1.4 var(--membrane-font);
+        letter-spacing: 0.5px;
+        z-index: 2000;
+      }
+      #inspector.collapsed { width: auto; }
+      #inspector.collapsed .inspector-body { display: none; }
+      .inspector-title { display: flex; justify-content: space-between; gap: 12px; letter-spacing: var(--membrane-letter-spacing); }
+      .inspector-section { margin-top: 8px; border-top: 1px solid rgba(var(--membrane-color), 0.2); padding-top: 6px; }
+      .inspector-section summary { cursor: pointer; letter-spacing: var(--membrane-letter-spacing); }
+      .inspector-row { display: grid; grid-template-columns: 78px 1fr 40px; align-items: center; gap: 6px; margin: 3px 0; }
+      .inspector-row input[type="range"] { width: 100%; accent-color: rgb(var(--membrane-color)); }
+      .inspector-row input[type="color"] { width: 40px; height: 18px; padding: 0; border: none; background: none; }
+      .inspector-row output { text-align: right; }
+      .inspector-stage { margin: 6px 0; padding: 4px 6px; border: 1px solid rgba(var(--membrane-color), 0.2); border-radius: var(--membrane-radius); }
+      .inspector-readout { font-size: 13px; margin: 6px 0; }
+      .inspector-note { opacity: 0.6; }
+      .inspector-select,
+      .inspector-button,
+      .inspector-export {
+        background: rgba(var(--membrane-color), 0.05);
+        border: var(--membrane-border-width) solid rgba(var(--membrane-color), 0.45);
+        border-radius: var(--membrane-radius);
+        color: inherit;
+        font: inherit;
+      }
+      .inspector-button { margin: 6px 6px 0 0; padding: 4px 8px; cursor: crosshair; }
+      .inspector-export { width: 100%; margin-top: 6px; box-sizing: border-box; }
+      .inspector-graph { margin: 4px 0; white-space: pre-wrap; }
+    `;
+    document.head.appendChild(style);
+  },
+
+  createPanel() {
+    const panel = this.element('aside');
+    panel.id = 'inspector';
+    panel.setAttribute('aria-label', 'Developer inspector');
+
+    const title = this.element('div', 'inspector-title');
+    title.appendChild(this.element('span', null, 'INSPECTOR'));
+    title.appendChild(this.button('–', () => {
+      panel.classList.toggle('collapsed');
+    }));
+
+    this.fields.body = this.element('div', 'inspector-body');
+    panel.append(title, this.fields.body);
+    document.body.appendChild(panel);
+    this.panel = panel;
+  },
+
+  // ==========================================
+  // ACTIVATION
+  // (Technical: Called by index.html once the beam and particles exist;
+  //  the baseline includes the book's overrides and the theme worn at birth)
+  // ==========================================
+
+  init() {
+    this.baseline = this.snapshot();
+    this.recordAudioEdges();
+    this.injectStyles();
+    this.createPanel();
+
+    this.buildLifecycle();
+    this.buildGenome();
+    this.buildBeam();
+    this.buildAudio();
+    this.buildExport();
+
+    this.updateReadout(decay.stage, decay.progress);
+    decay.subscribe((stage, progress) => {
+      this.updateReadout(stage, progress);
+      this.updateHold();
+    });
+
+    console.log('🔬 Inspector open');
+  }
+};
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ inspector.js requires config.js');
+}
+if (typeof decay === 'undefined') {
+  console.error('❌ inspector.js requires decay-core.js');
+}
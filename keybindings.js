@@ -0,0 +1,339 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: REFLEX ARC
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Keyboard control surface - every organ a reader can poke
+ * DEPENDENCIES: config.js (CONFIG.keybindings), decay-core.js (pause/resume),
+ *               accessibility.js, screen-reader.js (optional),
+ *               leak-worm-audio.js (window.leakAudio, optional)
+ *
+ * SURGICAL NOTES:
+ * The specimen was built to be clicked: the volume bars, the death
+ * screen, the reward screen. This arc gives each of those a key, plus a
+ * few the pointer never had - holding the heartbeat, stepping to the next
+ * archive segment. The LEAK button ships disarmed (.leaked), so it has
+ * no key. Bindings live in CONFIG.keybindings; several
+ * actions may share a key (Enter revives the dead and leaves the reward
+ * screen) and the first action that applies claims the press.
+ *
+ * The reflex chart (? or the ? button) lists whatever is bound, so a
+ * rebinding in CONFIG is documented without touching this file. Keys typed
+ * into the passphrase input never reach the arc.
+ * ============================================
+ */
+
+const keybindings = {
+
+  // ==========================================
+  // ARC STATE
+  // (Technical: Help overlay elements and the level before muting)
+  // ==========================================
+
+  chart: null,          // #reflex-chart overlay
+  button: null,         // #reflex-toggle button
+  returnFocus: null,    // Element focused before the chart opened
+  unmuteLevel: 1,       // Volume level restored by the mute key
+
+  // ==========================================
+  // REFLEX CATALOGUE - What each action does
+  // (Technical: action name → { label, run() }; run returns false when the
+  //  action does not apply right now, letting the key fall through)
+  // ==========================================
+
+  actions: {
+    volumeUp: {
+      label: 'Volume up',
+      run: () => keybindings.stepVolume(1)
+    },
+    volumeDown: {
+      label: 'Volume down',
+      run: () => keybindings.stepVolume(-1)
+    },
+    mute: {
+      label: 'Mute / unmute',
+      run: () => keybindings.toggleMute()
+    },
+    pause: {
+      label: 'Pause / resume the lifecycle',
+      run: () => keybindings.togglePause()
+    },
+    nextScreen: {
+      label: 'Next archive segment',
+      run: () => keybindings.nextScreen()
+    },
+    revive: {
+      label: 'Revive (death screen)',
+      run: () => keybindings.revive()
+    },
+    proceed: {
+      label: 'Continue (reward screen)',
+      run: () => keybindings.proceed()
+    },
+    calm: {
+      label: 'Calm mode on / off',
+      run: () => {
+        if (typeof accessibility === 'undefined') return false;
+        accessibility.setCalm(!accessibility.calm);
+        keybindings.announce(accessibility.calm ? 'Calm mode on.' : 'Calm mode off.');
+      }
+    },
+    help: {
+      label: 'Show / hide this chart',
+      run: () => keybindings.toggleChart()
+    },
+    close: {
+      label: 'Close this chart',
+      run: () => keybindings.isChartOpen() && keybindings.toggleChart(false)
+    }
+  },
+
+  // ==========================================
+  // STIMULUS ROUTING - Key to action
+  // (Technical: Case-insensitive KeyboardEvent.key match against
+  //  CONFIG.keybindings; first action that applies wins)
+  // ==========================================
+
+  actionsFor(key) {
+    const pressed = key.length === 1 ? key.toLowerCase() : key;
+    return Object.entries(CONFIG.keybindings)
+      .filter(([, keys]) => keys.some(bound => (bound.length === 1 ? bound.toLowerCase() : bound) === pressed))
+      .map(([name]) => name)
+      .filter(name => this.actions[name]);
+  },
+
+  isTyping(event) {
+    // FOREIGN TISSUE - Let fields and focused buttons keep their own keys
+    // (Technical: Inputs swallow everything; buttons and links keep Enter/Space)
+    const target = event.target;
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return true;
+    return (event.key === 'Enter' || event.key === ' ') && /^(BUTTON|A)$/.test(target.tagName);
+  },
+
+  handle(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (this.isTyping(event)) return;
+
+    const handled = this.actionsFor(event.key).some(name => this.actions[name].run() !== false);
+    if (handled) event.preventDefault();
+  },
+
+  // ==========================================
+  // VOLUME REFLEXES
+  // (Technical: LeakWormAudio.setVolumeLevel; a key press is a user gesture,
+  //  so the audio may be woken here like the first click does. The press is
+  //  claimed synchronously, so only a browser with Web Audio claims it; the
+  //  returned promise settles false when waking fails and never rejects)
+  // ==========================================
+
+  audible() {
+    const audio = window.leakAudio;
+    if (!audio) return null;
+    return audio.ready || window.AudioContext || window.webkitAudioContext ? audio : null;
+  },
+
+  async setVolume(level) {
+    const audio = window.leakAudio;
+    if (!audio) return false;
+
+    try {
+      if (!audio.ready && !(await audio.init())) return false;
+    } catch (error) {
+      // Context refused to resume - the organism stays silent
+      console.warn('🔇 Audio could not wake:', error);
+      return false;
+    }
+
+    if (level > 0) this.unmuteLevel = level;
+    audio.setVolumeLevel(level);
+    this.announce(`Sound: ${LeakWormAudio.levelNames[level]}.`);
+    return true;
+  },
+
+  stepVolume(direction) {
+    const audio = this.audible();
+    if (!audio) return false;
+    return this.setVolume(Math.max(0, Math.min(3, audio.volumeLevel + direction)));
+  },
+
+  toggleMute() {
+    const audio = this.audible();
+    if (!audio) return false;
+    if (audio.volumeLevel > 0) this.unmuteLevel = audio.volumeLevel;
+    return this.setVolume(audio.volumeLevel > 0 && audio.ready ? 0 : this.unmuteLevel);
+  },
+
+  // ==========================================
+  // HEARTBEAT HOLD - Pause / resume
+  // (Technical: decay.pause() freezes lifecycle time; only while alive and
+  //  decaying - permanent pirate mode has no lifecycle to hold)
+  // ==========================================
+
+  togglePause() {
+    if (decay.pausedAt !== null) {
+      decay.resume();
+      this.announce('Lifecycle resumed.');
+    } else if (decay.isBeating && !decay.permanentPirateMode) {
+      decay.pause();
+      this.announce('Lifecycle paused.');
+    } else {
+      return false;
+    }
+  },
+
+  // ==========================================
+  // LOCOMOTION - Next archive segment
+  // (Technical: First section or lazy placeholder below the reading line;
+  //  scrolling there wakes the placeholder's IntersectionObserver. 'instant'
+  //  overrides the container's CSS smooth scrolling in calm mode)
+  // ==========================================
+
+  nextScreen() {
+    const page = document.getElementById('pageContainer');
+    if (!page || !page.classList.contains('active')) return false;
+
+    const readingLine = page.getBoundingClientRect().top + window.innerHeight * 0.15;
+    const segments = page.querySelectorAll('.screen-section, .screen-placeholder, .buttons-container');
+    const next = Array.from(segments).find(segment => segment.getBoundingClientRect().top > readingLine + 2);
+    if (!next) return false;
+
+    page.scrollTo({
+      top: page.scrollTop + next.getBoundingClientRect().top - readingLine,
+      behavior: typeof accessibility !== 'undefined' && accessibility.calm ? 'instant' : 'smooth'
+    });
+  },
+
+  // ==========================================
+  // TERMINAL REFLEXES - Revive, proceed
+  // (Technical: Same functions the pointer reaches)
+  // ==========================================
+
+  revive() {
+    const deathScreen = document.getElementById('deathScreen');
+    if (!deathScreen || !deathScreen.classList.contains('active')) return false;
+    window.reviveSpecimen();
+  },
+
+  proceed() {
+    const rewardScreen = document.getElementById('rewardScreen');
+    if (!rewardScreen || !rewardScreen.classList.contains('active')) return false;
+    window.leaveForArchive();
+  },
+
+  announce(message) {
+    if (typeof screenReader !== 'undefined') screenReader.announce(message);
+  },
+
+  // ==========================================
+  // REFLEX CHART - Help overlay
+  // (Technical: Built from CONFIG.keybindings, membrane styling, dialog semantics)
+  // ==========================================
+
+  keyName(key) {
+    const names = { ' ': 'Space', Escape: 'Esc', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+    return names[key] || key;
+  },
+
+  createChart() {
+    const chart = document.createElement('div');
+    chart.id = 'reflex-chart';
+    chart.hidden = true;
+    chart.setAttribute('role', 'dialog');
+    chart.setAttribute('aria-modal', 'true');
+    chart.setAttribute('aria-labelledby', 'reflexChartTitle');
+
+    const rows = Object.entries(CONFIG.keybindings)
+      .filter(([name, keys]) => this.actions[name] && keys.length > 0)
+      .map(([name, keys]) => {
+        const caps = keys.map(key => `<kbd>${this.keyName(key)}</kbd>`).join(' ');
+        return `<dt>${caps}</dt><dd>${this.actions[name].label}</dd>`;
+      })
+      .join('');
+
+    chart.innerHTML = `
+      <div class="reflex-panel">
+        <h2 id="reflexChartTitle" class="reflex-title">REFLEXES</h2>
+        <dl class="reflex-list">${rows}</dl>
+        <button type="button" class="membrane-button reflex-close">CLOSE</button>
+      </div>
+    `;
+
+    chart.querySelector('.reflex-close').addEventListener('click', () => this.toggleChart(false));
+    chart.addEventListener('click', event => {
+      if (event.target === chart) this.toggleChart(false);
+    });
+
+    document.body.appendChild(chart);
+    this.chart = chart;
+  },
+
+  createButton() {
+    const button = document.createElement('button');
+    button.id = 'reflex-toggle';
+    button.type = 'button';
+    button.title = 'Keyboard controls';
+    button.setAttribute('aria-label', 'Keyboard controls');
+    button.setAttribute('aria-haspopup', 'dialog');
+    button.innerHTML = '<span aria-hidden="true">?</span>';
+    button.addEventListener('click', () => this.toggleChart());
+
+    document.body.appendChild(button);
+    this.button = button;
+  },
+
+  isChartOpen() {
+    return Boolean(this.chart && !this.chart.hidden);
+  },
+
+  toggleChart(open = !this.isChartOpen()) {
+    if (!this.chart) return false;
+
+    if (open) {
+      this.returnFocus = document.activeElement;
+      this.chart.hidden = false;
+      this.chart.querySelector('.reflex-close').focus();
+    } else {
+      this.chart.hidden = true;
+      if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+      this.returnFocus = null;
+    }
+    if (this.button) this.button.setAttribute('aria-expanded', String(open));
+  },
+
+  // ==========================================
+  // ACTIVATION
+  // (Technical: One keydown listener; chart and button once the body exists)
+  // ==========================================
+
+  init() {
+    document.addEventListener('keydown', event => this.handle(event));
+
+    const build = () => {
+      this.createChart();
+      this.createButton();
+    };
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', build);
+    } else {
+      build();
+    }
+  }
+};
+
+keybindings.init();
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ keybindings.js requires config.js');
+}
+if (typeof decay === 'undefined') {
+  console.error('❌ keybindings.js requires decay-core.js');
+}
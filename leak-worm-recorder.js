@@ -0,0 +1,254 @@
+/**
+ * ============================================
+ * LEAK-WORM-847T AUDIO RECORDER v1.0
+ * Adapted from: leak-worm-audio.js v1.4
+ * Integration: CONFIG stage graph + timing profiles
+ * ============================================
+ *
+ * Renders the organism's soundtrack offline for exhibition videos.
+ * A scripted decay timeline replays through the SAME LeakWormAudio
+ * instance methods the live site uses (setupCRTHum, setupSchumannHum,
+ * syncToDecayStage, triggers), on an OfflineAudioContext that suspends
+ * once per frame - so every setValueAtTime lands where it would live.
+ *
+ * Randomness is seeded and deferred work runs on the render timeline:
+ * the same script renders the same file, sample for sample.
+ *
+ * USAGE (browser console):
+ *   recordLeakWorm()                 32s lifecycle, active profile → WAV download
+ *   recordLeakWorm('pirate')         pirate transition → WAV download
+ *   new LeakWormRecorder({ volumeLevel: 2 }).render(LeakWormRecorder.lifecycle('brutal'))
+ *
+ * SCRIPT SHAPE:
+ *   {
+ *     name: 'lifecycle-standard',    download filename stem
+ *     duration: 35,                  seconds rendered
+ *     seed: 847,                     noise seed
+ *     pirate: false,                 start already in pirate mode
+ *     stages: [{ stage, at, duration }],   progress runs 0→1 over duration
+ *     events: [{ at, sound, args }]        LeakWormAudio method calls, e.g.
+ *                                          { at: 3, sound: 'triggerBeamFizz', args: [{ x: 0.2, y: 0.4 }] }
+ *   }
+ */
+
+class LeakWormRecorder {
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.volumeLevel = options.volumeLevel ?? 3; // Full level for video mixes
+        this.frameRate = options.frameRate || 30; // Timeline steps per second (decay ticks + beam frames)
+        this.viewport = options.viewport || { width: 1920, height: 1080 }; // Beam geometry reference
+    }
+
+    // ==========================================
+    // SCRIPTED TIMELINES
+    // ==========================================
+
+    // Full lifecycle: initial stage onward through the graph, durations from a timing profile
+    static lifecycle(profile = CONFIG.profile) {
+        const timing = CONFIG.getTimingProfile(profile) || CONFIG.getCurrentTimings();
+        const stages = [];
+        let at = 0;
+        let name = CONFIG.stages.initial;
+
+        // Branching nodes follow their first branch; a loop back ends the script
+        while (name && !stages.some(entry => entry.stage === name)) {
+            const node = CONFIG.getStage(name);
+            const duration = (timing[name] ?? node.duration ?? 0) / 1000;
+
+            stages.push({ stage: name, at, duration });
+            at += duration;
+            name = typeof node.next === 'string' ? node.next : node.next?.[0]?.to;
+        }
+
+        // Tail: room for the death fadeout
+        return { name: `lifecycle-${profile}`, duration: at + 3, seed: 847, stages, events: [] };
+    }
+
+    // Pirate transition: a moment of the given stage, then the descent to ocean depth
+    static pirateTransition(fromStage = 'decay') {
+        const lead = 1.5;
+        const transition = CONFIG.timings.pirate.colorShiftDuration / 1000;
+
+        return {
+            name: 'pirate-transition',
+            duration: lead + transition + 4,
+            seed: 847,
+            stages: [
+                { stage: fromStage, at: 0, duration: lead * 2 },
+                { stage: 'pirate', at: lead, duration: transition }
+            ],
+            events: [
+                { at: lead, sound: 'beginPirateTransition', args: [transition * 1000] }
+            ]
+        };
+    }
+
+    // Deterministic noise (mulberry32)
+    static seeded(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    stateAt(script, time) {
+        const entry = script.stages.filter(candidate => candidate.at <= time).pop() || script.stages[0];
+        const progress = entry.duration > 0 ? Math.min(1, (time - entry.at) / entry.duration) : 1;
+        return { stage: entry.stage, progress };
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    async render(script) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const length = Math.ceil(script.duration * this.sampleRate);
+        const context = new OfflineContext(2, length, this.sampleRate);
+        const audio = new LeakWormAudio();
+
+        audio.offlineQueue = [];
+        audio.random = LeakWormRecorder.seeded(script.seed ?? 847);
+        audio.isPirateMode = Boolean(script.pirate);
+        audio.volumeLevel = this.volumeLevel;
+
+        await audio.init(context);
+
+        const run = { audio, script, fired: 0, cycle: 0, stage: null, geometry: null };
+        const tick = 1 / this.frameRate;
+
+        // First frame before rendering, then one suspension per frame
+        this.step(run, 0, tick);
+        audio.setVolumeLevel(this.volumeLevel);
+
+        for (let frame = 1; frame * tick < script.duration; frame++) {
+            const time = frame * tick;
+            context.suspend(time).then(() => {
+                this.step(run, time, tick);
+                context.resume();
+            });
+        }
+
+        console.log(`🎞 Rendering ${script.name || 'script'} (${script.duration.toFixed(1)}s)`);
+        return context.startRendering();
+    }
+
+    step(run, time, tick) {
+        const { audio, script } = run;
+
+        // Deferred work (death cleanup, Schumann takeover) due by now
+        const due = audio.offlineQueue.filter(entry => entry.time <= time);
+        audio.offlineQueue = audio.offlineQueue.filter(entry => entry.time > time);
+        due.forEach(entry => entry.callback());
+
+        // Scripted sounds, in order
+        const events = script.events || [];
+        while (run.fired < events.length && events[run.fired].at <= time) {
+            const event = events[run.fired++];
+            audio[event.sound](...(event.args || []));
+        }
+
+        // Decay tick
+        const { stage, progress } = this.stateAt(script, time);
+        audio.syncToDecayStage(stage, progress);
+        audio.scheduleHeartbeat(time + 0.5);
+
+        // Beam frame: primary beam of the stage's geometry drives the drone
+        if (typeof BeamModule === 'undefined') return;
+
+        if (stage !== run.stage) {
+            run.stage = stage;
+            run.geometry = BeamModule.resolveGeometry(CONFIG.getStage(stage)?.beam);
+        }
+
+        const geometry = run.geometry;
+        if (geometry.speed <= 0) return;
+
+        run.cycle += tick / geometry.speed;
+        const sweep = BeamModule.cycleProgress(run.cycle + geometry.phases[0], geometry);
+        const { width, height } = this.viewport;
+        const segment = BeamModule.trace(geometry.orientations[0], sweep, geometry, width, height);
+
+        audio.triggerBeamSweep(sweep, {
+            x: (segment.x1 + segment.x2) / 2 / width,
+            y: (segment.y1 + segment.y2) / 2 / height
+        });
+    }
+
+    // ==========================================
+    // WAV EXPORT (16-bit PCM)
+    // ==========================================
+
+    static toWav(buffer) {
+        const channels = buffer.numberOfChannels;
+        const frames = buffer.length;
+        const dataSize = frames * channels * 2;
+        const bytes = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(bytes);
+        const writeText = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeText(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeText(8, 'WAVE');
+        writeText(12, 'fmt ');
+        view.setUint32(16, 16, true);                              // fmt chunk size
+        view.setUint16(20, 1, true);                               // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, buffer.sampleRate, true);
+        view.setUint32(28, buffer.sampleRate * channels * 2, true); // Byte rate
+        view.setUint16(32, channels * 2, true);                    // Block align
+        view.setUint16(34, 16, true);                              // Bits per sample
+        writeText(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        // Interleave and clip
+        const data = Array.from({ length: channels }, (_, channel) => buffer.getChannelData(channel));
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, data[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                offset += 2;
+            }
+        }
+
+        return bytes;
+    }
+
+    async export(script) {
+        const buffer = await this.render(script);
+        const blob = new Blob([LeakWormRecorder.toWav(buffer)], { type: 'audio/wav' });
+        const link = document.createElement('a');
+
+        link.href = URL.createObjectURL(blob);
+        link.download = `leak-worm-${script.name || 'render'}.wav`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        console.log(`💾 Exported ${link.download}`);
+        return blob;
+    }
+}
+
+// ==========================================
+// CONSOLE ENTRY POINT
+// ==========================================
+
+window.recordLeakWorm = function(kind = 'lifecycle', options = {}) {
+    const script = kind === 'pirate'
+        ? LeakWormRecorder.pirateTransition(options.from)
+        : LeakWormRecorder.lifecycle(options.profile);
+    return new LeakWormRecorder(options).export(script);
+};
+
+if (typeof LeakWormAudio === 'undefined') {
+    console.error('❌ leak-worm-recorder.js requires leak-worm-audio.js');
+}
@@ -0,0 +1,132 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: MEMBRANE IMMUNE RESPONSE
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Tracks failed passphrases and hardens the gate against them
+ * DEPENDENCIES: config.js (CONFIG.membrane)
+ *
+ * SURGICAL NOTES:
+ * The gate once shrugged at every wrong guess - shake, clear, try again,
+ * forever. The membrane now remembers each intrusion:
+ * - After CONFIG.membrane.freeAttempts misses it seals for a while,
+ *   doubling the lockout with every further miss
+ * - The record survives reloads, so refreshing does not heal the wound
+ * - Enough misses and the organism wakes already in panic
+ *
+ * Other organs feel the rejection through subscribe(): the audio system
+ * answers with an error tone, the beam flinches, the gate scars.
+ * ============================================
+ */
+
+const membrane = {
+
+  // ==========================================
+  // IMMUNE MEMORY
+  // (Technical: Persisted attempt record and reaction subscribers)
+  // ==========================================
+
+  failures: 0,          // Consecutive misses since the last successful entry
+  lockedUntil: 0,       // Wall time the membrane reopens
+  listeners: [],        // Rejection reflex subscribers
+
+  // ==========================================
+  // SCAR TISSUE - Persisted record
+  // (Technical: localStorage regardless of CONFIG.persistence - reloads must not heal)
+  // ==========================================
+
+  load() {
+    try {
+      const record = JSON.parse(window.localStorage.getItem(CONFIG.membrane.key));
+      if (record) {
+        this.failures = record.failures || 0;
+        this.lockedUntil = record.lockedUntil || 0;
+      }
+    } catch (error) {
+      // Storage blocked - the membrane only remembers this page's lifetime
+    }
+  },
+
+  save() {
+    try {
+      window.localStorage.setItem(CONFIG.membrane.key, JSON.stringify({
+        failures: this.failures,
+        lockedUntil: this.lockedUntil
+      }));
+    } catch (error) {
+      // Storage blocked - see load()
+    }
+  },
+
+  // ==========================================
+  // GATE STATE - Can the membrane be tested?
+  // (Technical: Remaining lockout in milliseconds, 0 when open)
+  // ==========================================
+
+  remainingLockout() {
+    return Math.max(0, this.lockedUntil - Date.now());
+  },
+
+  isLocked() {
+    return this.remainingLockout() > 0;
+  },
+
+  lockoutFor(failures) {
+    // HARDENING CURVE - Exponential, capped
+    const { freeAttempts, lockoutBaseMs, lockoutMaxMs } = CONFIG.membrane;
+    if (failures < freeAttempts) return 0;
+    return Math.min(lockoutBaseMs * Math.pow(2, failures - freeAttempts), lockoutMaxMs);
+  },
+
+  shouldPanic() {
+    // TRAUMA THRESHOLD - Enough misses to wake in panic
+    const { panicAfter } = CONFIG.membrane;
+    return panicAfter > 0 && this.failures >= panicAfter;
+  },
+
+  // ==========================================
+  // IMMUNE RESPONSE - Record outcomes
+  // (Technical: Update record, persist, notify subscribers)
+  // ==========================================
+
+  recordFailure() {
+    this.failures++;
+    const lockoutMs = this.lockoutFor(this.failures);
+    this.lockedUntil = lockoutMs > 0 ? Date.now() + lockoutMs : 0;
+    this.save();
+
+    const rejection = { failures: this.failures, lockoutMs, panic: this.shouldPanic() };
+    this.listeners.forEach(callback => callback(rejection));
+    return rejection;
+  },
+
+  recordSuccess() {
+    // HEALING - Entry granted, wounds close
+    // (Technical: Returns whether the misses earned a panicked awakening)
+    const panicked = this.shouldPanic();
+    this.failures = 0;
+    this.lockedUntil = 0;
+    this.save();
+    return panicked;
+  },
+
+  subscribe(callback) {
+    // REJECTION PATHWAY - Connect reflex
+    // (Technical: callback({ failures, lockoutMs, panic }) on every miss)
+    this.listeners.push(callback);
+  }
+};
+
+membrane.load();
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ membrane.js requires config.js');
+}
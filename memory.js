@@ -0,0 +1,168 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: LONG-TERM MEMORY
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational - dormant unless CONFIG.persistence.enabled
+ * FUNCTION: Remembers the organism across page reloads
+ * DEPENDENCIES: config.js (persistence policy), decay-core.js (lifecycle snapshot)
+ *
+ * SURGICAL NOTES:
+ * Without this organ every reload was a clean birth - the specimen forgot
+ * its reader, its wounds and its abandonment. Memory periodically engraves
+ * a snapshot into browser storage: lifecycle state, authentication,
+ * loaded fragments, scroll depth and audio volume. With session storage,
+ * authenticated readers also leave the unsealing key behind, so the
+ * sealed book reopens without the gate until the tab closes. Local
+ * storage never holds the key: the reader passes the gate again and the
+ * remembered life resumes behind it.
+ *
+ * On waking, the configured policy decides what the organism makes of
+ * the time it spent alone:
+ * - resume:  continue exactly where the reader left off
+ * - mourn:   absence counts as neglect; it may have died while you were away
+ * - rebirth: remember the reader, but start a fresh lifecycle
+ * ============================================
+ */
+
+const memory = {
+
+  // ==========================================
+  // ENGRAM STATE
+  // (Technical: Autosave bookkeeping)
+  // ==========================================
+
+  saveInterval: null,      // Periodic engraving timer
+  handlePageHide: null,    // Final engraving on unload
+
+  // ==========================================
+  // STORAGE MEDIUM - Where memories live
+  // (Technical: localStorage or sessionStorage, null when unavailable)
+  // ==========================================
+
+  storage() {
+    try {
+      return CONFIG.persistence.storage === 'session' ? window.sessionStorage : window.localStorage;
+    } catch (error) {
+      // Storage blocked (privacy mode) - organism stays amnesiac
+      return null;
+    }
+  },
+
+  // ==========================================
+  // RECALL - Read the last engraving
+  // (Technical: Parsed snapshot, or null when disabled, missing or corrupt)
+  // ==========================================
+
+  recall() {
+    if (!CONFIG.persistence.enabled) return null;
+
+    const storage = this.storage();
+    if (!storage) return null;
+
+    try {
+      const snapshot = JSON.parse(storage.getItem(CONFIG.persistence.key));
+      return snapshot && snapshot.version === 1 ? snapshot : null;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  keepsKey() {
+    // KEY CUSTODY - The unsealing key dies with the tab
+    // (Technical: Only sessionStorage may hold it; on disk it would open every sealed screen forever)
+    return CONFIG.persistence.storage === 'session';
+  },
+
+  awayFor(snapshot) {
+    // ABSENCE MEASUREMENT - Wall time since the last engraving
+    return Math.max(0, Date.now() - (snapshot.savedAt || Date.now()));
+  },
+
+  // ==========================================
+  // ENGRAVING - Write the current state
+  // (Technical: Snapshot of decay, worm, scroll and audio)
+  // ==========================================
+
+  save() {
+    if (!CONFIG.persistence.enabled) return;
+
+    const storage = this.storage();
+    if (!storage) return;
+
+    const pageContainer = document.getElementById('pageContainer');
+    const hasWorm = typeof worm !== 'undefined';
+    const snapshot = {
+      version: 1,
+      savedAt: Date.now(),
+      authenticated: hasWorm && worm.authenticated,
+      loadedScreens: hasWorm ? Array.from(worm.loadedScreens) : [],
+      scrollTop: pageContainer ? pageContainer.scrollTop : 0,
+      volumeLevel: window.leakAudio ? window.leakAudio.volumeLevel : null,
+      key: this.keepsKey() && hasWorm && worm.authenticated && typeof thresholdCipher !== 'undefined' ? thresholdCipher.rawKey : null,
+      decay: decay.snapshot()
+    };
+
+    try {
+      storage.setItem(CONFIG.persistence.key, JSON.stringify(snapshot));
+    } catch (error) {
+      // Quota exceeded - memory is lossy, organism continues
+    }
+  },
+
+  forget() {
+    // AMNESIA - Erase everything
+    const storage = this.storage();
+    if (storage) storage.removeItem(CONFIG.persistence.key);
+  },
+
+  forgetLife() {
+    // SELECTIVE AMNESIA - Keep the reader, forget the lifecycle
+    // (Technical: Used on resurrection so the next load is a fresh birth)
+    const snapshot = this.recall();
+    if (!snapshot) return;
+
+    snapshot.decay = null;
+    const storage = this.storage();
+    if (storage) storage.setItem(CONFIG.persistence.key, JSON.stringify(snapshot));
+  },
+
+  // ==========================================
+  // CONSOLIDATION - Autosave wiring
+  // (Technical: Periodic save plus a final save on pagehide)
+  // ==========================================
+
+  init() {
+    if (!CONFIG.persistence.enabled) return;
+
+    this.saveInterval = setInterval(() => this.save(), CONFIG.persistence.saveIntervalMs || 1000);
+
+    this.handlePageHide = () => this.save();
+    window.addEventListener('pagehide', this.handlePageHide);
+  },
+
+  destroy() {
+    if (this.saveInterval) {
+      clearInterval(this.saveInterval);
+      this.saveInterval = null;
+    }
+    if (this.handlePageHide) {
+      window.removeEventListener('pagehide', this.handlePageHide);
+      this.handlePageHide = null;
+    }
+  }
+};
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ memory.js requires config.js');
+}
+if (typeof decay === 'undefined') {
+  console.error('❌ memory.js requires decay-core.js');
+}
@@ -0,0 +1,402 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: ATMOSPHERIC PIGMENT CELLS
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Draws the particle atmosphere - one DOM node per mote, or one canvas for all
+ * DEPENDENCIES: particles.js (ParticleDrift owns the particle records)
+ *
+ * SURGICAL NOTES:
+ * The atmosphere used to be painted cell by cell: a <div> per particle,
+ * each with its own CSS blur, each filter rewritten whenever the beam
+ * passed. Dense atmospheres drowned the host in style recalculation.
+ *
+ * Three pigment strategies now share one interface:
+ * - webgl:  every layer in a single point-sprite draw call
+ * - canvas: 2D canvas, pre-baked soft sprites per blur level
+ * - dom:    the original per-particle nodes, moved by transform
+ *
+ * CONFIG.particles.renderer picks one; 'auto' tries webgl, then canvas,
+ * then dom. Every strategy reads the particle records (position from
+ * the drift physics, blur, beam brightness, fade) once per frame; the
+ * canvas ones skip per-node styles, so counts can grow into the thousands.
+ * ============================================
+ */
+
+// ==========================================
+// CELLULAR PIGMENT - Original DOM renderer
+// (Technical: One <div> per particle, positioned by transform each frame)
+// ==========================================
+
+class DomParticleRenderer {
+  constructor(drift) {
+    this.drift = drift;
+    this.container = null;
+    this.fields = {};
+  }
+
+  mount(container) {
+    // ATMOSPHERIC CHAMBERS - Layer containers
+    // (Technical: One field per depth plane, stacked far → near)
+    this.container = container;
+    Object.keys(this.drift.layers).forEach(name => {
+      const field = document.createElement('div');
+      field.className = 'particle-field';
+      field.id = `particles-${name}`;
+      container.appendChild(field);
+      this.fields[name] = field;
+    });
+    return true;
+  }
+
+  clearLayer(name) {
+    this.fields[name].innerHTML = '';
+  }
+
+  spawn(record) {
+    const particle = document.createElement('div');
+    particle.className = 'particle';
+    particle.dataset.layer = record.layer;
+    particle.style.width = record.size + 'px';
+    particle.style.height = record.size + 'px';
+    particle.style.filter = `blur(${record.blur}px)`;
+
+    this.fields[record.layer].appendChild(particle);
+    record.element = particle;
+  }
+
+  illuminate(record) {
+    // PHOSPHOR ACTIVATION - Brightness boost, preserving base blur
+    if (record.revealed) {
+      record.element.classList.add('beam-revealed');
+      record.element.style.filter = `blur(${record.blur}px) brightness(${record.brightness})`;
+    } else {
+      record.element.classList.remove('beam-revealed');
+      record.element.style.filter = `blur(${record.blur}px)`;
+    }
+  }
+
+  extinguish(record) {
+    record.element.style.transition = 'opacity 2s ease-out';
+    record.element.style.opacity = '0';
+  }
+
+  draw() {
+    // POSITIONING - Centre each node on its record
+    this.drift.particles.forEach(record => {
+      const half = record.size / 2;
+      record.element.style.transform = `translate(${record.px - half}px, ${record.py - half}px)`;
+    });
+  }
+
+  resize() {}
+
+  destroy() {}
+}
+
+// ==========================================
+// CANVAS PIGMENT - Shared 2D surface
+// (Technical: Common canvas sizing, colour reading and per-particle alpha)
+// ==========================================
+
+class CanvasParticleRenderer {
+  constructor(drift) {
+    this.drift = drift;
+    this.canvas = null;
+    this.context = null;
+    this.pixelRatio = 1;
+    this.baseOpacity = 0.06;
+    this.sprites = new Map();   // blur level → soft dot sprite
+    this.spriteColor = null;    // Glow colour the sprites were baked in
+    this.rootStyle = null;      // Live computed :root style (glow channels)
+  }
+
+  createCanvas(container) {
+    this.canvas = document.createElement('canvas');
+    this.canvas.className = 'particle-canvas';
+    container.appendChild(this.canvas);
+
+    // BASE LUMINANCE - Same opacity the DOM particles take from CSS
+    const base = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--particle-base-opacity'));
+    if (Number.isFinite(base)) this.baseOpacity = base;
+
+    this.resize();
+    return this.canvas;
+  }
+
+  mount(container) {
+    this.context = this.createCanvas(container).getContext('2d');
+    if (!this.context) {
+      this.canvas.remove();
+      return false;
+    }
+    return true;
+  }
+
+  resize() {
+    this.pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+    this.canvas.width = Math.round(window.innerWidth * this.pixelRatio);
+    this.canvas.height = Math.round(window.innerHeight * this.pixelRatio);
+  }
+
+  glowColor() {
+    // PHOSPHOR HUE - The organism's current glow, as set by decay-core
+    // (Technical: Computed, not inline - before the first stage the glow is the
+    //  stylesheet's :root default; the declaration is live, so fetch it once)
+    if (!this.rootStyle) this.rootStyle = getComputedStyle(document.documentElement);
+    return ['--glow-r', '--glow-g', '--glow-b'].map(name => parseFloat(this.rootStyle.getPropertyValue(name)) || 0);
+  }
+
+  alphaOf(record, now) {
+    // LUMINANCE - CSS opacity rules as arithmetic
+    // (Technical: base × stage multiplier × beam boost × 2s extinction fade)
+    const boost = record.revealed ? this.drift.layers[record.layer].revealBoost : 1;
+    const fade = record.fadeStart === null ? 1 : Math.max(0, 1 - (now - record.fadeStart) / 2000);
+    return this.baseOpacity * this.drift.opacityMultiplier * boost * fade * record.brightness;
+  }
+
+  clearLayer() {}
+
+  spawn() {}
+
+  illuminate() {}
+
+  extinguish() {}
+
+  sprite(blurLevel, color) {
+    // SOFT DOT - Pre-baked blurred disc, reused by every particle of that softness
+    // (Technical: 32px core + blur halo; re-baked when the glow colour shifts)
+    const key = color.join(',');
+    if (key !== this.spriteColor) {
+      this.sprites.clear();
+      this.spriteColor = key;
+    }
+    if (this.sprites.has(blurLevel)) return this.sprites.get(blurLevel);
+
+    const core = 16;
+    const halo = blurLevel * 8;
+    const radius = core + halo;
+    const sprite = document.createElement('canvas');
+    sprite.width = sprite.height = radius * 2;
+
+    const paint = sprite.getContext('2d');
+    const gradient = paint.createRadialGradient(radius, radius, 0, radius, radius, radius);
+    gradient.addColorStop(0, `rgba(${key}, 1)`);
+    gradient.addColorStop(core / radius * 0.8, `rgba(${key}, 1)`);
+    gradient.addColorStop(1, `rgba(${key}, 0)`);
+    paint.fillStyle = gradient;
+    paint.fillRect(0, 0, radius * 2, radius * 2);
+
+    this.sprites.set(blurLevel, { canvas: sprite, scale: radius / core });
+    return this.sprites.get(blurLevel);
+  }
+
+  draw(now) {
+    const ctx = this.context;
+    const color = this.glowColor();
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // DEPTH ORDER - Records are kept far → near
+    this.drift.particles.forEach(record => {
+      const alpha = this.alphaOf(record, now);
+      if (alpha <= 0) return;
+
+      const sprite = this.sprite(Math.round(record.blur / Math.max(record.size, 1.5) * 4), color);
+      const radius = Math.max(record.size, 1.5) / 2 * sprite.scale;
+
+      ctx.globalAlpha = Math.min(1, alpha);
+      ctx.drawImage(sprite.canvas, record.px - radius, record.py - radius, radius * 2, radius * 2);
+    });
+    ctx.globalAlpha = 1;
+  }
+
+  destroy() {
+    if (this.canvas) this.canvas.remove();
+  }
+}
+
+// ==========================================
+// GPU PIGMENT - WebGL point sprites
+// (Technical: One draw call for every particle; soft disc in the fragment shader)
+// ==========================================
+
+class WebGLParticleRenderer extends CanvasParticleRenderer {
+  constructor(drift) {
+    super(drift);
+    this.gl = null;
+    this.program = null;
+    this.buffer = null;
+    this.data = new Float32Array(0);
+    this.locations = {};
+  }
+
+  compile(type, source) {
+    const gl = this.gl;
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(gl.getShaderInfoLog(shader));
+    }
+    return shader;
+  }
+
+  mount(container) {
+    this.gl = this.createCanvas(container).getContext('webgl', { premultipliedAlpha: false, antialias: false });
+    if (!this.gl) {
+      this.canvas.remove();
+      return false;
+    }
+
+    try {
+      const gl = this.gl;
+      this.program = gl.createProgram();
+      gl.attachShader(this.program, this.compile(gl.VERTEX_SHADER, WebGLParticleRenderer.shaders.vertex));
+      gl.attachShader(this.program, this.compile(gl.FRAGMENT_SHADER, WebGLParticleRenderer.shaders.fragment));
+      gl.linkProgram(this.program);
+      if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
+        throw new Error(gl.getProgramInfoLog(this.program));
+      }
+
+      gl.useProgram(this.program);
+      ['a_position', 'a_size', 'a_core', 'a_alpha'].forEach(name => {
+        this.locations[name] = gl.getAttribLocation(this.program, name);
+      });
+      ['u_viewport', 'u_ratio', 'u_color'].forEach(name => {
+        this.locations[name] = gl.getUniformLocation(this.program, name);
+      });
+
+      this.buffer = gl.createBuffer();
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+      return true;
+    } catch (error) {
+      console.warn('🌫️ WebGL particles unavailable:', error.message);
+      this.canvas.remove();
+      return false;
+    }
+  }
+
+  resize() {
+    super.resize();
+    if (this.gl) this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  draw(now) {
+    const gl = this.gl;
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const stride = 6; // x, y, size, core, alpha, padding
+    const records = this.drift.particles;
+
+    if (this.data.length < records.length * stride) {
+      this.data = new Float32Array(records.length * stride);
+    }
+
+    // VERTEX PACKING - Position, blurred diameter, sharp core ratio, alpha
+    records.forEach((record, i) => {
+      const size = Math.max(record.size, 1.5);
+      const diameter = size + record.blur * 2;
+      const offset = i * stride;
+
+      this.data[offset] = record.px;
+      this.data[offset + 1] = record.py;
+      this.data[offset + 2] = diameter;
+      this.data[offset + 3] = size / diameter * 0.8;
+      this.data[offset + 4] = Math.min(1, this.alphaOf(record, now));
+    });
+
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    if (records.length === 0) return;
+
+    gl.useProgram(this.program);
+    gl.uniform2f(this.locations.u_viewport, width, height);
+    gl.uniform1f(this.locations.u_ratio, this.pixelRatio);
+    gl.uniform3fv(this.locations.u_color, this.glowColor().map(channel => channel / 255));
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.data.subarray(0, records.length * stride), gl.DYNAMIC_DRAW);
+
+    const bytes = Float32Array.BYTES_PER_ELEMENT;
+    [['a_position', 2, 0], ['a_size', 1, 2], ['a_core', 1, 3], ['a_alpha', 1, 4]].forEach(([name, size, at]) => {
+      gl.enableVertexAttribArray(this.locations[name]);
+      gl.vertexAttribPointer(this.locations[name], size, gl.FLOAT, false, stride * bytes, at * bytes);
+    });
+
+    gl.drawArrays(gl.POINTS, 0, records.length);
+  }
+
+  destroy() {
+    if (this.gl) {
+      this.gl.deleteBuffer(this.buffer);
+      this.gl.deleteProgram(this.program);
+    }
+    super.destroy();
+  }
+}
+
+// SHADER GENOME - Soft disc: sharp core, blur falloff to the sprite edge
+WebGLParticleRenderer.shaders = {
+  vertex: `
+    attribute vec2 a_position;
+    attribute float a_size;
+    attribute float a_core;
+    attribute float a_alpha;
+    uniform vec2 u_viewport;
+    uniform float u_ratio;
+    varying float v_core;
+    varying float v_alpha;
+    void main() {
+      vec2 clip = a_position / u_viewport * 2.0 - 1.0;
+      gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+      gl_PointSize = a_size * u_ratio;
+      v_core = a_core;
+      v_alpha = a_alpha;
+    }
+  `,
+  fragment: `
+    precision mediump float;
+    uniform vec3 u_color;
+    varying float v_core;
+    varying float v_alpha;
+    void main() {
+      float distance = length(gl_PointCoord - 0.5) * 2.0;
+      float softness = 1.0 - smoothstep(v_core, 1.0, distance);
+      gl_FragColor = vec4(u_color, v_alpha * softness);
+    }
+  `
+};
+
+// ==========================================
+// PIGMENT SELECTION - Renderer registry with fallback
+// (Technical: CONFIG.particles.renderer: 'auto' | 'webgl' | 'canvas' | 'dom')
+// ==========================================
+
+const particleRenderers = {
+  webgl: WebGLParticleRenderer,
+  canvas: CanvasParticleRenderer,
+  dom: DomParticleRenderer,
+
+  create(preference, drift, container) {
+    // FALLBACK CHAIN - Requested renderer, then the humbler ones; DOM always works
+    const chain = ['webgl', 'canvas', 'dom'];
+    const order = chain.slice(Math.max(0, chain.indexOf(preference)));
+
+    for (const name of order) {
+      const renderer = new this[name](drift);
+      if (renderer.mount(container)) {
+        renderer.name = name;
+        return renderer;
+      }
+    }
+    return null;
+  }
+};
@@ -1,320 +1,512 @@
-/**
- * ============================================
- * SPECIMEN: LEAK-WORM-847T
- * ORGAN: ATMOSPHERIC DRIFT MECHANISM
- * RETRIEVAL: October 2025, Tlönian Research Facility
- * ============================================
- * 
- * STATUS: Operational - v2.5 SMALLER + BLUR
- * FUNCTION: Environmental particle system - creates depth perception through drift
- * DEPENDENCIES: decay-core.js (lifecycle sync), beam.js (collision reveal)
- * 
- * SURGICAL NOTES:
- * The specimen generates its own atmosphere - a 3-layer particle field
- * that simulates spatial depth. Particles drift upward continuously,
- * like phosphor dust rising from the organism's metabolism.
- * 
- * Each layer moves at different speeds (parallax effect):
- * - FAR: 25 particles, smallest, heavily blurred (background)
- * - MID: 18 particles, medium size, moderate blur (midground)
- * - NEAR: 7 particles, largest, sharpest (foreground)
- * 
- * Critical behavior: Particles illuminate when the electron beam
- * passes over them, suggesting they contain trace phosphor compounds
- * from the organism's respiration. During decay, particles fade and
- * disappear, representing atmospheric breakdown.
- * ============================================
- */
-
-class ParticleDrift {
-  constructor() {
-    // ATMOSPHERIC CONSTANTS - Environmental parameters
-    // (Technical: Configuration and DOM references)
-    this.root = document.documentElement;
-    
-    // DEVICE DETECTION - Mobile optimization
-    // (Technical: Reduce particle count on mobile devices)
-    this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    
-    const particleMultiplier = this.isMobile ? 0.6 : 1.0;
-    
-    // STRATOSPHERIC LAYERS - Three depth planes
-    // (Technical: Particle layer configuration)
-    this.layers = {
-      far: { 
-        count: Math.floor(25 * particleMultiplier),  // Background density
-        sizeRange: [1.5, 3],                         // Smallest particles
-        blurRange: [3, 5],                           // Heavy atmospheric haze
-        speed: 60,                                    // Slowest drift
-        field: null                                  // DOM container
-      },
-      mid: { 
-        count: Math.floor(18 * particleMultiplier),  // Middle density
-        sizeRange: [2, 4],                           // Medium particles
-        blurRange: [1, 2],                           // Moderate blur
-        speed: 35,                                    // Medium drift
-        field: null                                  // DOM container
-      },
-      near: { 
-        count: Math.floor(7 * particleMultiplier),   // Foreground density
-        sizeRange: [3, 5],                           // Largest particles
-        blurRange: [0, 0.5],                         // Sharpest focus
-        speed: 15,                                    // Fastest drift
-        field: null                                  // DOM container
-      }
-    };
-    
-    // METABOLIC STATE - Tracks organism health
-    // (Technical: Current decay stage for opacity adjustments)
-    this.decayState = 'healthy';
-  }
-  
-  // ==========================================
-  // ATMOSPHERIC GENERATION - Initialize system
-  // (Technical: Create particle fields and start drift)
-  // ==========================================
-  
-  init() {
-    // ATMOSPHERE SYNTHESIS - Begin particle generation
-    // (Technical: Setup DOM and create all particles)
-    
-    this.createParticleFields();
-    this.createAllParticles();
-    
-    // METABOLIC COUPLING - Link to organism lifecycle
-    // (Technical: Subscribe to decay state changes)
-    if (window.decay) {
-      window.decay.subscribe((stage, progress) => {
-        this.syncToDecay(stage, progress);
-      });
-    }
-    
-    // BEAM INTERACTION - Phosphor excitation on contact
-    // (Technical: Setup collision detection with electron beam)
-    if (window.beam) {
-      this.integrateWithBeam();
-    }
-  }
-  
-  // ==========================================
-  // SPATIAL SCAFFOLDING - Container structure
-  // (Technical: Create DOM containers for particle layers)
-  // ==========================================
-  
-  createParticleFields() {
-    // ATMOSPHERIC CHAMBERS - Layer containers
-    // (Technical: Build HTML structure for particle fields)
-    
-    const container = document.createElement('div');
-    container.className = 'particle-container';
-    container.innerHTML = `
-      <div class="particle-field" id="particles-far"></div>
-      <div class="particle-field" id="particles-mid"></div>
-      <div class="particle-field" id="particles-near"></div>
-    `;
-    document.body.appendChild(container);
-    
-    // LAYER REGISTRATION - Store field references
-    // (Technical: Cache DOM elements for each layer)
-    this.layers.far.field = document.getElementById('particles-far');
-    this.layers.mid.field = document.getElementById('particles-mid');
-    this.layers.near.field = document.getElementById('particles-near');
-  }
-  
-  // ==========================================
-  // PARTICLE SYNTHESIS - Generate all layers
-  // (Technical: Create particles for each depth plane)
-  // ==========================================
-  
-  createAllParticles() {
-    // ATMOSPHERIC POPULATION - Fill all layers
-    // (Technical: Loop through layers and create particles)
-    
-    Object.entries(this.layers).forEach(([name, layer]) => {
-      this.createLayerParticles(name, layer);
-    });
-  }
-  
-  createLayerParticles(name, layer) {
-    // PARTICLE GENERATION - Individual layer creation
-    // (Technical: Generate particles with random properties)
-    
-    layer.field.innerHTML = '';
-    
-    for (let i = 0; i < layer.count; i++) {
-      const particle = document.createElement('div');
-      particle.className = 'particle';
-      particle.dataset.layer = name;
-      
-      // HORIZONTAL DISTRIBUTION - Gaussian clustering
-      // (Technical: Bell curve distribution for natural look)
-      const x = this.gaussianRandom(50, 20);
-      particle.style.left = Math.max(5, Math.min(95, x)) + '%';
-      
-      // SIZE VARIATION - Random within range
-      // (Technical: Vary particle size for organic feel)
-      const size = layer.sizeRange[0] + 
-                   Math.random() * (layer.sizeRange[1] - layer.sizeRange[0]);
-      particle.style.width = size + 'px';
-      particle.style.height = size + 'px';
-      
-      // ATMOSPHERIC BLUR - Depth simulation
-      // (Technical: Apply blur based on layer depth)
-      const blur = layer.blurRange[0] + 
-                  Math.random() * (layer.blurRange[1] - layer.blurRange[0]);
-      particle.style.filter = `blur(${blur}px)`;
-      particle.dataset.baseBlur = blur; // Store for beam interaction
-      
-      // DRIFT PHASE - Staggered animation start
-      // (Technical: Random delay for natural movement)
-      const delay = -Math.random() * layer.speed;
-      particle.style.animationDelay = `${delay}s`;
-      particle.style.animationDuration = `${layer.speed}s`;
-      
-      layer.field.appendChild(particle);
-    }
-  }
-  
-  // ==========================================
-  // STATISTICAL DISTRIBUTION - Natural clustering
-  // (Technical: Gaussian random number generator)
-  // ==========================================
-  
-  gaussianRandom(mean, stdDev) {
-    // BELL CURVE GENERATOR - Natural distribution
-    // (Technical: Box-Muller transform for normal distribution)
-    
-    const u1 = Math.random();
-    const u2 = Math.random();
-    const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return mean + z0 * stdDev;
-  }
-  
-  // ==========================================
-  // ATMOSPHERIC DECAY - Lifecycle synchronization
-  // (Technical: Adjust particle opacity based on health)
-  // ==========================================
-  
-  syncToDecay(stage, progress) {
-    // ATMOSPHERIC DEGRADATION - Opacity reduction
-    // (Technical: Map decay stages to particle visibility)
-    
-    this.decayState = stage;
-    
-    const opacityMultipliers = {
-      healthy: 1.0,     // Full atmosphere
-      panic: 0.8,       // Slight thinning
-      decay: 0.5,       // Heavy degradation
-      death: 0.2        // Near vacuum
-    };
-    
-    const multiplier = opacityMultipliers[stage] || 1.0;
-    this.root.style.setProperty('--particle-decay-multiplier', multiplier);
-    
-    // PARTICLE DEATH - Random fadeout during decay
-    // (Technical: Progressively hide particles as organism dies)
-    if (stage === 'decay') {
-      this.fadeOutRandomParticles(0.4);
-    } else if (stage === 'death') {
-      this.fadeOutRandomParticles(0);
-    }
-  }
-  
-  fadeOutRandomParticles(targetRatio) {
-    // SELECTIVE EXTINCTION - Gradual particle removal
-    // (Technical: Fade out particles beyond target count)
-    
-    Object.values(this.layers).forEach(layer => {
-      const particles = layer.field.querySelectorAll('.particle');
-      const targetCount = Math.floor(particles.length * targetRatio);
-      
-      particles.forEach((p, i) => {
-        if (i >= targetCount) {
-          p.style.transition = 'opacity 2s ease-out';
-          p.style.opacity = '0';
-        }
-      });
-    });
-  }
-  
-  // ==========================================
-  // PHOSPHOR EXCITATION - Beam interaction
-  // (Technical: Illuminate particles near electron beam)
-  // ==========================================
-  
-  integrateWithBeam() {
-    // COLLISION DETECTION - Beam proximity check
-    // (Technical: Check particle distance from beam position)
-    
-    if (!window.beam || !window.beam.body) return;
-    
-    setInterval(() => {
-      const beamBody = window.beam.body;
-      if (!beamBody) return;
-      
-      // BEAM POSITION - Current scan location
-      // (Technical: Get beam Y coordinate)
-      const beamRect = beamBody.getBoundingClientRect();
-      const beamY = beamRect.top + beamRect.height / 2;
-      
-      // PARTICLE ILLUMINATION - Check each particle
-      // (Technical: Calculate distance and apply glow)
-      document.querySelectorAll('.particle').forEach(particle => {
-        const rect = particle.getBoundingClientRect();
-        const particleY = rect.top + rect.height / 2;
-        const distance = Math.abs(beamY - particleY);
-        
-        const layer = particle.dataset.layer;
-        
-        // EXCITATION RANGE - Layer-specific sensitivity
-        // (Technical: Different ranges for depth layers)
-        const range = layer === 'far' ? 120 : 
-                     layer === 'mid' ? 90 : 60;
-        
-        if (distance < range) {
-          // PHOSPHOR ACTIVATION - Brightness boost
-          // (Technical: Apply glow based on proximity)
-          const intensity = 1 - (distance / range);
-          particle.classList.add('beam-revealed');
-          
-          // LUMINOSITY CALCULATION - Preserve base blur
-          // (Technical: Brighten without losing depth blur)
-          const baseBlur = parseFloat(particle.dataset.baseBlur) || 0;
-          const brightness = 1 + (intensity * 0.8);
-          particle.style.filter = `blur(${baseBlur}px) brightness(${brightness})`;
-          
-        } else {
-          // RELAXATION STATE - Return to normal
-          // (Technical: Remove glow when beam passes)
-          particle.classList.remove('beam-revealed');
-          const baseBlur = parseFloat(particle.dataset.baseBlur) || 0;
-          particle.style.filter = `blur(${baseBlur}px)`;
-        }
-      });
-    }, 40);
-  }
-  
-  // ==========================================
-  // DISPOSAL PROTOCOL - Clean removal
-  // (Technical: Cleanup method)
-  // ==========================================
-  
-  destroy() {
-    // ATMOSPHERIC EVACUATION - Complete removal
-    // (Technical: Remove all particle containers)
-    const container = document.querySelector('.particle-container');
-    if (container) container.remove();
-  }
-}
-
-// ==========================================
-// DEPENDENCY VERIFICATION
-// (Technical: Check required organs present)
-// ==========================================
-
-if (typeof CONFIG === 'undefined') {
-  console.error('❌ particles.js requires config.js');
-}
-if (typeof decay === 'undefined') {
-  console.error('❌ particles.js requires decay-core.js');
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: ATMOSPHERIC DRIFT MECHANISM
+ * RETRIEVAL: October 2025, Tlönian Research Facility
+ * ============================================
+ * 
+ * STATUS: Operational - v2.5 SMALLER + BLUR
+ * FUNCTION: Environmental particle system - creates depth perception through drift
+ * DEPENDENCIES: decay-core.js (lifecycle sync), beam.js (collision reveal),
+ *               particle-renderers.js (DOM / canvas / WebGL drawing)
+ * 
+ * SURGICAL NOTES:
+ * The specimen generates its own atmosphere - a 3-layer particle field
+ * that simulates spatial depth. Healthy particles drift upward, like
+ * phosphor dust rising from the organism's metabolism.
+ * 
+ * Motion is a small physics model (velocity, drag, noise field) whose
+ * parameters come from each stage's particles.motion in CONFIG.stages:
+ * calm rise when healthy, jittery turbulence in panic, sinking and
+ * clumping in decay, sediment settling at death, a slow lateral current
+ * in pirate mode. Particles also scatter away from the cursor.
+ * 
+ * Each layer moves at different speeds (parallax effect):
+ * - FAR: 25 particles, smallest, heavily blurred (background)
+ * - MID: 18 particles, medium size, moderate blur (midground)
+ * - NEAR: 7 particles, largest, sharpest (foreground)
+ * 
+ * Critical behavior: Particles illuminate when the electron beam
+ * passes over them, suggesting they contain trace phosphor compounds
+ * from the organism's respiration. During decay, particles fade and
+ * disappear, representing atmospheric breakdown.
+ * 
+ * The drift keeps one record per particle; drawing is delegated to a
+ * renderer from particle-renderers.js (CONFIG.particles.renderer), and
+ * CONFIG.particles.density scales every layer's population.
+ * ============================================
+ */
+
+class ParticleDrift {
+  constructor() {
+    // ATMOSPHERIC CONSTANTS - Environmental parameters
+    // (Technical: Configuration and DOM references)
+    this.root = document.documentElement;
+    
+    // DEVICE DETECTION - Mobile optimization
+    // (Technical: Reduce particle count on mobile devices)
+    this.isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+    
+    const particleMultiplier = (this.isMobile ? 0.6 : 1.0) * CONFIG.particles.density;
+    
+    // STRATOSPHERIC LAYERS - Three depth planes
+    // (Technical: Particle layer configuration)
+    this.layers = {
+      far: { 
+        count: Math.floor(ParticleDrift.populations.far * particleMultiplier),  // Background density
+        sizeRange: [1.5, 3],                         // Smallest particles
+        blurRange: [3, 5],                           // Heavy atmospheric haze
+        speed: 60,                                    // Slowest drift
+        revealBoost: 2.5                             // Beam opacity gain
+      },
+      mid: { 
+        count: Math.floor(ParticleDrift.populations.mid * particleMultiplier),  // Middle density
+        sizeRange: [2, 4],                           // Medium particles
+        blurRange: [1, 2],                           // Moderate blur
+        speed: 35,                                    // Medium drift
+        revealBoost: 4.0                             // Beam opacity gain
+      },
+      near: { 
+        count: Math.floor(ParticleDrift.populations.near * particleMultiplier),   // Foreground density
+        sizeRange: [3, 5],                           // Largest particles
+        blurRange: [0, 0.5],                         // Sharpest focus
+        speed: 15,                                    // Fastest drift
+        revealBoost: 5.5                             // Beam opacity gain
+      }
+    };
+    
+    // METABOLIC STATE - Tracks organism health
+    // (Technical: Current decay stage for opacity adjustments)
+    this.decayState = 'healthy';
+    this.opacityMultiplier = 1.0;
+    
+    // DRIFT LEDGER - Where each particle is and where it is heading
+    // (Technical: Simulated position/velocity per particle, so nothing is measured)
+    this.particles = [];
+    this.unsubscribeBeam = null;
+    
+    // CURRENTS - Stage physics and the forces acting on the field
+    // (Technical: Resolved particles.motion, clump attractors, pointer position)
+    this.motion = ParticleDrift.resolveMotion({});
+    this.attractors = [];
+    this.pointer = null;
+    this.lastFrame = null;
+    this.seed = Math.random() * 100;
+    this.isCalm = false;      // Calm mode (accessibility.js) stops the simulation
+    
+    // PIGMENT - Whatever draws the records
+    // (Technical: See particle-renderers.js)
+    this.container = null;
+    this.renderer = null;
+    this.frameId = null;
+    this.handleResize = () => this.renderer.resize();
+    this.handlePointer = (event) => { this.pointer = { x: event.clientX, y: event.clientY }; };
+    this.handlePointerLeave = () => { this.pointer = null; };
+  }
+  
+  // ==========================================
+  // ATMOSPHERIC GENERATION - Initialize system
+  // (Technical: Create particle fields and start drift)
+  // ==========================================
+  
+  init() {
+    // ATMOSPHERE SYNTHESIS - Begin particle generation
+    // (Technical: Setup DOM and create all particles)
+    
+    this.createParticleFields();
+    this.createAllParticles();
+    this.startDrawing();
+    
+    // METABOLIC COUPLING - Link to organism lifecycle
+    // (Technical: Subscribe to decay state changes)
+    if (typeof decay !== 'undefined') {
+      decay.subscribe((stage, progress) => {
+        this.syncToDecay(stage, progress);
+      });
+    }
+    
+    // BEAM INTERACTION - Phosphor excitation on contact
+    // (Technical: Setup collision detection with electron beam)
+    if (typeof BeamModule !== 'undefined') {
+      this.integrateWithBeam();
+    }
+    
+    // VESTIBULAR DAMPER - Calm mode freezes the field in place
+    // (Technical: Subscribe to accessibility.js)
+    if (typeof accessibility !== 'undefined') {
+      accessibility.subscribe(calm => { this.isCalm = calm; });
+    }
+  }
+  
+  // ==========================================
+  // SPATIAL SCAFFOLDING - Container structure
+  // (Technical: Create DOM containers for particle layers)
+  // ==========================================
+  
+  createParticleFields() {
+    // ATMOSPHERIC CHAMBER - Shared container, renderer fills it
+    // (Technical: particleRenderers.create falls back webgl → canvas → dom)
+    
+    const container = document.createElement('div');
+    container.className = 'particle-container';
+    container.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(container);
+    
+    this.container = container;
+    this.renderer = particleRenderers.create(CONFIG.particles.renderer, this, container);
+  }
+  
+  startDrawing() {
+    // PIGMENT LOOP - Simulate, then repaint, every frame
+    // (Technical: dt capped at 50ms so a backgrounded tab does not fling the field)
+    window.addEventListener('resize', this.handleResize);
+    window.addEventListener('pointermove', this.handlePointer, { passive: true });
+    this.root.addEventListener('pointerleave', this.handlePointerLeave);
+    
+    const paint = (now) => {
+      const dt = this.lastFrame === null ? 0 : Math.min((now - this.lastFrame) / 1000, 0.05);
+      this.lastFrame = now;
+      
+      if (!this.isCalm) this.simulate(dt, now / 1000);
+      this.renderer.draw(now);
+      this.frameId = requestAnimationFrame(paint);
+    };
+    this.frameId = requestAnimationFrame(paint);
+  }
+  
+  // ==========================================
+  // PARTICLE SYNTHESIS - Generate all layers
+  // (Technical: Create particles for each depth plane)
+  // ==========================================
+  
+  createAllParticles() {
+    // ATMOSPHERIC POPULATION - Fill all layers
+    // (Technical: Loop through layers and create particles)
+    
+    Object.entries(this.layers).forEach(([name, layer]) => {
+      this.createLayerParticles(name, layer);
+    });
+  }
+  
+  createLayerParticles(name, layer) {
+    // PARTICLE GENERATION - Individual layer creation
+    // (Technical: Generate particle records with random properties)
+    
+    this.renderer.clearLayer(name);
+    this.particles = this.particles.filter(record => record.layer !== name);
+    
+    for (let i = 0; i < layer.count; i++) {
+      // SIZE VARIATION - Random within range
+      // (Technical: Vary particle size for organic feel)
+      const size = layer.sizeRange[0] + 
+                   Math.random() * (layer.sizeRange[1] - layer.sizeRange[0]);
+      
+      // ATMOSPHERIC BLUR - Depth simulation
+      // (Technical: Apply blur based on layer depth)
+      const blur = layer.blurRange[0] + 
+                  Math.random() * (layer.blurRange[1] - layer.blurRange[0]);
+      
+      // DRIFT PHASE - Staggered start anywhere along the ascent
+      // (Technical: Random height between 110vh and -10vh)
+      const record = {
+        element: null,           // DOM renderer only
+        layer: name,
+        px: this.spawnX(),       // Centre, viewport pixels
+        py: window.innerHeight * (1.1 - 1.2 * Math.random()),
+        vx: 0,                   // Velocity, px/s
+        vy: 0,
+        anchor: Math.floor(Math.random() * 6), // Clump attractor
+        settled: false,
+        size,
+        blur,
+        brightness: 1,           // Beam excitation
+        revealed: false,
+        fadeStart: null          // Extinction start time
+      };
+      
+      this.particles.push(record);
+      this.renderer.spawn(record);
+    }
+  }
+  
+  setDensity(density) {
+    // REPOPULATION - New crowd size, live
+    // (Technical: Recount and respawn every layer; survivors thin the new crowd
+    //  again, so a decaying stage keeps its extinction ratio)
+    CONFIG.particles.density = density;
+    const particleMultiplier = (this.isMobile ? 0.6 : 1.0) * density;
+    
+    Object.entries(this.layers).forEach(([name, layer]) => {
+      layer.count = Math.floor(ParticleDrift.populations[name] * particleMultiplier);
+      this.createLayerParticles(name, layer);
+    });
+    
+    const survivors = CONFIG.getStage(this.decayState)?.particles?.survivors;
+    if (typeof survivors === 'number') this.fadeOutRandomParticles(survivors);
+  }
+  
+  spawnX() {
+    // HORIZONTAL DISTRIBUTION - Gaussian clustering
+    // (Technical: Bell curve distribution for natural look, 5-95% of the width)
+    return window.innerWidth * Math.max(5, Math.min(95, this.gaussianRandom(50, 20))) / 100;
+  }
+  
+  // ==========================================
+  // FLUID DYNAMICS - Stage-aware particle physics
+  // (Technical: Velocity relaxes toward the stage flow under drag; noise,
+  //  jitter, clumping and cursor scatter add acceleration)
+  // ==========================================
+  
+  static resolveMotion(motion) {
+    // CURRENT DEFAULTS - The original calm ascent
+    return {
+      rise: 1,            // Upward flow, × the layer's original drift speed (negative sinks)
+      current: 0,         // Lateral flow, same unit (positive flows right)
+      drag: 1.5,          // How fast velocity relaxes toward the flow, 1/s
+      turbulence: 0,      // Smooth noise-field acceleration, px/s²
+      jitter: 0,          // Random per-frame kicks, px/s²
+      clump: 0,           // Pull toward shared attractors, 1/s²
+      settle: false,      // Come to rest on the floor like sediment
+      ...motion
+    };
+  }
+  
+  flowSpeed(layer) {
+    // DRIFT UNIT - The old CSS ascent: 120vh per layer.speed seconds
+    return window.innerHeight * 1.2 / this.layers[layer].speed;
+  }
+  
+  simulate(dt, time) {
+    if (dt === 0) return;
+    
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const motion = this.motion;
+    const { radius: scatterRadius, strength: scatterStrength } = CONFIG.particles.scatter;
+    
+    this.particles.forEach(record => {
+      const unit = this.flowSpeed(record.layer);
+      let ax = 0;
+      let ay = 0;
+      
+      // STAGE FLOW - Rise or sink; pirate currents swell with depth and time
+      const swell = 0.6 + 0.4 * Math.sin(record.py * 0.004 + time * 0.2 + this.seed);
+      const flowX = motion.current * unit * swell;
+      const flowY = -motion.rise * unit;
+      ax += (flowX - record.vx) * motion.drag;
+      ay += (flowY - record.vy) * motion.drag;
+      
+      // TURBULENCE - Smooth noise field, no two particles in lockstep
+      if (motion.turbulence > 0) {
+        const x = record.px;
+        const y = record.py;
+        ax += motion.turbulence * (Math.sin(y * 0.011 + time * 0.9 + this.seed) + Math.sin(x * 0.007 - time * 0.6)) / 2;
+        ay += motion.turbulence * (Math.cos(x * 0.009 + time * 0.7 + this.seed) + Math.sin(y * 0.005 + time * 0.4)) / 2;
+      }
+      if (motion.jitter > 0) {
+        ax += motion.jitter * (Math.random() * 2 - 1);
+        ay += motion.jitter * (Math.random() * 2 - 1);
+      }
+      
+      // CLUMPING - Decaying matter gathers around a few nuclei
+      if (motion.clump > 0 && this.attractors.length > 0) {
+        const nucleus = this.attractors[record.anchor % this.attractors.length];
+        ax += (nucleus.x * width - record.px) * motion.clump;
+        ay += (nucleus.y * height - record.py) * motion.clump * 0.2; // Mostly lateral - sinking continues
+      }
+      
+      // SCATTER - Particles flee the cursor
+      if (this.pointer && scatterStrength > 0) {
+        const dx = record.px - this.pointer.x;
+        const dy = record.py - this.pointer.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance > 0 && distance < scatterRadius) {
+          const push = scatterStrength * (1 - distance / scatterRadius) / distance;
+          ax += dx * push;
+          ay += dy * push;
+          record.settled = false;
+        }
+      }
+      
+      // SEDIMENT - Settled particles stay put until disturbed
+      if (record.settled) return;
+      
+      record.vx += ax * dt;
+      record.vy += ay * dt;
+      record.px += record.vx * dt;
+      record.py += record.vy * dt;
+      
+      this.confine(record, width, height);
+    });
+  }
+  
+  confine(record, width, height) {
+    // BOUNDARIES - Wrap around the viewport, or settle on its floor
+    if (this.motion.settle) {
+      const floor = height - record.size / 2;
+      if (record.py >= floor) {
+        record.py = floor;
+        record.vx = 0;
+        record.vy = 0;
+        record.settled = true;
+        return;
+      }
+    }
+    
+    if (record.py < -height * 0.1) {
+      record.py = height * 1.1;
+      record.px = this.spawnX();
+    } else if (record.py > height * 1.1) {
+      record.py = -height * 0.1;
+      record.px = this.spawnX();
+    }
+    
+    if (record.px < 0) record.px += width;
+    else if (record.px > width) record.px -= width;
+  }
+  
+  // ==========================================
+  // STATISTICAL DISTRIBUTION - Natural clustering
+  // (Technical: Gaussian random number generator)
+  // ==========================================
+  
+  gaussianRandom(mean, stdDev) {
+    // BELL CURVE GENERATOR - Natural distribution
+    // (Technical: Box-Muller transform for normal distribution)
+    
+    const u1 = Math.random();
+    const u2 = Math.random();
+    const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    return mean + z0 * stdDev;
+  }
+  
+  // ==========================================
+  // ATMOSPHERIC DECAY - Lifecycle synchronization
+  // (Technical: Adjust particle opacity based on health)
+  // ==========================================
+  
+  syncToDecay(stage, progress) {
+    // ATMOSPHERIC DEGRADATION - Opacity reduction
+    // (Technical: Visibility and survivor ratio come from the stage graph node)
+    
+    const atmosphere = CONFIG.getStage(stage)?.particles || {};
+    
+    // CURRENT SHIFT - New physics once per stage
+    // (Technical: Fresh clump nuclei; sediment lifts when the stage stops settling)
+    if (stage !== this.decayState || !this.attractors.length) {
+      this.motion = ParticleDrift.resolveMotion(atmosphere.motion);
+      this.attractors = Array.from({ length: 6 }, () => ({
+        x: 0.15 + Math.random() * 0.7,
+        y: 0.2 + Math.random() * 0.6
+      }));
+      if (!this.motion.settle) {
+        this.particles.forEach(record => { record.settled = false; });
+      }
+    }
+    this.decayState = stage;
+    
+    const multiplier = atmosphere.opacity ?? 1.0;
+    this.opacityMultiplier = multiplier;
+    this.root.style.setProperty('--particle-decay-multiplier', multiplier);
+    
+    // PARTICLE DEATH - Random fadeout during decay
+    // (Technical: Progressively hide particles as organism dies)
+    if (typeof atmosphere.survivors === 'number') {
+      this.fadeOutRandomParticles(atmosphere.survivors);
+    }
+  }
+  
+  fadeOutRandomParticles(targetRatio) {
+    // SELECTIVE EXTINCTION - Gradual particle removal
+    // (Technical: Fade out particles beyond target count)
+    
+    const now = performance.now();
+    Object.keys(this.layers).forEach(name => {
+      const particles = this.particles.filter(record => record.layer === name);
+      const targetCount = Math.floor(particles.length * targetRatio);
+      
+      particles.forEach((record, i) => {
+        if (i >= targetCount && record.fadeStart === null) {
+          record.fadeStart = now;
+          this.renderer.extinguish(record);
+        }
+      });
+    });
+  }
+  
+  // ==========================================
+  // PHOSPHOR EXCITATION - Beam interaction
+  // (Technical: Illuminate particles near electron beam)
+  // ==========================================
+  
+  integrateWithBeam() {
+    // COLLISION DETECTION - Beam proximity check
+    // (Technical: Ride the shared collision service's frame pulse)
+    
+    this.unsubscribeBeam = BeamModule.collisions.on('frame', ({ beams }) => {
+      // PARTICLE ILLUMINATION - Check each particle
+      // (Technical: Simulated positions - no layout reads; the nearest of all beams wins)
+      this.particles.forEach(record => {
+        const distance = Math.min(...beams.map(beam =>
+          BeamCollisionService.distanceToPoint(beam, record.px, record.py)));
+        
+        // EXCITATION RANGE - Layer-specific sensitivity
+        // (Technical: Different ranges for depth layers)
+        const range = record.layer === 'far' ? 120 : 
+                     record.layer === 'mid' ? 90 : 60;
+        
+        if (distance < range) {
+          // PHOSPHOR ACTIVATION - Brightness boost
+          // (Technical: Glow based on proximity; the renderer applies it)
+          const intensity = 1 - (distance / range);
+          record.brightness = 1 + (intensity * 0.8);
+          record.revealed = true;
+          this.renderer.illuminate(record);
+          
+        } else if (record.revealed) {
+          // RELAXATION STATE - Return to normal
+          // (Technical: Only touch the renderer when the beam has just passed)
+          record.brightness = 1;
+          record.revealed = false;
+          this.renderer.illuminate(record);
+        }
+      });
+    });
+  }
+  
+  // ==========================================
+  // DISPOSAL PROTOCOL - Clean removal
+  // (Technical: Cleanup method)
+  // ==========================================
+  
+  destroy() {
+    // ATMOSPHERIC EVACUATION - Complete removal
+    // (Technical: Remove all particle containers)
+    if (this.unsubscribeBeam) this.unsubscribeBeam();
+    if (this.frameId !== null) cancelAnimationFrame(this.frameId);
+    window.removeEventListener('resize', this.handleResize);
+    window.removeEventListener('pointermove', this.handlePointer);
+    this.root.removeEventListener('pointerleave', this.handlePointerLeave);
+    if (this.renderer) this.renderer.destroy();
+    if (this.container) this.container.remove();
+  }
+}
+
+// BASE POPULATIONS - Particles per layer at density 1 on a desktop
+// (Technical: Scaled by CONFIG.particles.density, 0.6× on mobile)
+ParticleDrift.populations = { far: 25, mid: 18, near: 7 };
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ particles.js requires config.js');
+}
+if (typeof decay === 'undefined') {
+  console.error('❌ particles.js requires decay-core.js');
+}
+if (typeof particleRenderers === 'undefined') {
+  console.error('❌ particles.js requires particle-renderers.js');
 }
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: ECHOLOCATION
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Tells assistive technology what the organism's body only shows
+ * DEPENDENCIES: config.js (CONFIG.accessibility.announcements),
+ *               decay-core.js (stage changes), membrane.js (rejections)
+ *
+ * SURGICAL NOTES:
+ * The specimen speaks through blur, opacity and flicker. A screen reader
+ * sees none of it - and what it did get was worse: typewriter text
+ * arriving one character mutation at a time. This organ keeps meaning
+ * independent of the visual decay:
+ * - stage changes and gate rejections are spoken through live regions
+ * - typed text is exposed whole in a hidden twin while the visible
+ *   element (aria-hidden) types itself out
+ *
+ * Roles and labels for the gate, the audio toggle and the LEAK button
+ * live with their markup; decorative organs are aria-hidden where built.
+ * ============================================
+ */
+
+const screenReader = {
+
+  // ==========================================
+  // ECHO STATE
+  // (Technical: Live regions and the last announced stage)
+  // ==========================================
+
+  regions: {},          // { polite, assertive } live region elements
+  lastStage: null,      // Stage most recently announced
+  pending: null,        // Announcements made before the body existed
+
+  // ==========================================
+  // LIVE REGIONS - Spoken announcements
+  // (Technical: Visually hidden role=status / role=alert containers)
+  // ==========================================
+
+  createRegions() {
+    [['polite', 'status'], ['assertive', 'alert']].forEach(([politeness, role]) => {
+      const region = document.createElement('div');
+      region.className = 'sr-only';
+      region.setAttribute('role', role);
+      region.setAttribute('aria-live', politeness);
+      region.setAttribute('aria-atomic', 'true');
+      document.body.appendChild(region);
+      this.regions[politeness] = region;
+    });
+
+    (this.pending || []).forEach(([message, politeness]) => this.announce(message, politeness));
+    this.pending = null;
+  },
+
+  announce(message, politeness = 'polite') {
+    const region = this.regions[politeness];
+    if (!message) return;
+    if (!region) {
+      (this.pending = this.pending || []).push([message, politeness]);
+      return;
+    }
+
+    // RE-ANNOUNCE - Clear first so identical messages are spoken again
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 50);
+  },
+
+  // ==========================================
+  // STAGE NARRATION - What the decay means
+  // (Technical: decay.subscribe fires every frame; speak only on stage change)
+  // ==========================================
+
+  narrate(stage) {
+    if (stage === this.lastStage) return;
+
+    // First beat is only news when the organism wakes somewhere unusual
+    const isWaking = this.lastStage === null;
+    this.lastStage = stage;
+    if (isWaking && stage === CONFIG.stages.initial) return;
+
+    const message = CONFIG.accessibility.announcements[stage];
+    this.announce(message, stage === 'death' ? 'assertive' : 'polite');
+  },
+
+  rejected(rejection) {
+    // GATE FEEDBACK - Shake and lockout are visual only
+    const seconds = Math.ceil(rejection.lockoutMs / 1000);
+    const message = rejection.lockoutMs > 0
+      ? `Passphrase rejected. The gate is sealed for ${seconds} seconds.`
+      : 'Passphrase rejected.';
+    this.announce(message, 'assertive');
+  },
+
+  // ==========================================
+  // WHOLE TEXT - Typewriter twin
+  // (Technical: Visible element is hidden from AT while it types;
+  //  a visually hidden sibling carries the complete text at once)
+  // ==========================================
+
+  expose(element, html) {
+    const holder = document.createElement('div');
+    holder.innerHTML = html.replace(/<br\s*\/?>/gi, ' ');
+    const text = holder.textContent.trim();
+
+    let twin = element.nextElementSibling;
+    if (!twin || !twin.classList.contains('sr-twin')) {
+      twin = document.createElement('span');
+      twin.className = 'sr-only sr-twin';
+      element.after(twin);
+    }
+
+    element.setAttribute('aria-hidden', 'true');
+    twin.textContent = [twin.textContent, text].filter(Boolean).join(' ');
+  },
+
+  // ==========================================
+  // ACTIVATION
+  // (Technical: Regions once the body exists; lifecycle and membrane hooks)
+  // ==========================================
+
+  init() {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.createRegions());
+    } else {
+      this.createRegions();
+    }
+
+    if (typeof decay !== 'undefined') {
+      decay.subscribe(stage => this.narrate(stage));
+    }
+    if (typeof membrane !== 'undefined') {
+      membrane.subscribe(rejection => this.rejected(rejection));
+    }
+  }
+};
+
+screenReader.init();
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ screen-reader.js requires config.js');
+}
+if (typeof decay === 'undefined') {
+  console.error('❌ screen-reader.js requires decay-core.js');
+}
@@ -0,0 +1,254 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: PIGMENT GLAND
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Swaps the organism's visual genome for a theme pack, live
+ * DEPENDENCIES: config.js (CONFIG.themes + visual tables),
+ *               bookshelf.js (mergeInto), index.html (interpolateColor,
+ *               interpolateValue, applyDecayVisuals via subscribe)
+ *
+ * SURGICAL NOTES:
+ * The specimen is born orange. Clients want it green, amber, fax-white,
+ * or their own brand colour - without forking config.js. A theme pack is
+ * a JSON file holding any subset of the visual tables:
+ *
+ *   {
+ *     "name": "amber",
+ *     "description": "Amber monochrome terminal",
+ *     "colors": { "healthy": { "glow": { "r": 255, "g": 176, "b": 0 } } },
+ *     "danger": { ... }, "beamColors": { ... }, "flicker": { ... }
+ *   }
+ *
+ * The pack is deep merged over a snapshot of the genome taken at birth
+ * (after the book's own CONFIG overrides), so packs never stack and
+ * 'default' always restores the original. Switching blends every number
+ * and RGB triple from the old genome to the new one with the same
+ * interpolation helpers the decay cascade uses; calm mode swaps at once.
+ *
+ * USAGE:
+ *   ?theme=amber                     pick a registered pack at birth
+ *   themes.apply('p1-green')         switch live (cross-fade)
+ *   themes.apply('default')          back to the genome as written
+ *   themes.apply({ colors: {...} })  an unregistered pack object
+ *   themes.register('brand', 'themes/brand.json')
+ * ============================================
+ */
+
+const themes = {
+
+  // ==========================================
+  // GLAND STATE
+  // (Technical: Genome snapshot, active pack and running cross-fade)
+  // ==========================================
+
+  tables: ['colors', 'danger', 'beamColors', 'breathing', 'vignette', 'scanlines', 'blur', 'textShadow', 'flicker'],
+
+  base: null,           // Genome as written (plus book overrides), captured by init()
+  active: 'default',    // Name of the pack being worn
+  packs: {},            // Fetched packs by registry name
+  fade: null,           // { from, to, start, duration } while blending
+  frame: null,          // requestAnimationFrame handle
+  listeners: [],        // Pigment subscribers
+
+  // ==========================================
+  // GENOME SNAPSHOT - Visual tables as data
+  // (Technical: JSON clone; the tables hold only numbers and RGB objects)
+  // ==========================================
+
+  capture() {
+    const genome = {};
+    this.tables.forEach(table => {
+      genome[table] = JSON.parse(JSON.stringify(CONFIG[table] || {}));
+    });
+    return genome;
+  },
+
+  express(genome) {
+    // TRANSCRIPTION - Genome into CONFIG, where every organ reads it
+    this.tables.forEach(table => {
+      CONFIG[table] = genome[table];
+    });
+    this.listeners.forEach(callback => callback(this.active));
+  },
+
+  compose(pack) {
+    // GRAFT - Pack over the original genome, never over another pack
+    const genome = JSON.parse(JSON.stringify(this.base));
+    this.tables.forEach(table => {
+      if (pack[table]) bookshelf.mergeInto(genome[table], pack[table]);
+    });
+    return genome;
+  },
+
+  anchorBeams(genome) {
+    // BEAM ANCHOR - A beam following the glow fades from the glow, not from nothing
+    // (Technical: Fill missing beamColors stages with that stage's glow)
+    Object.entries(genome.colors).forEach(([stage, colors]) => {
+      if (!genome.beamColors[stage] && colors.glow) genome.beamColors[stage] = { ...colors.glow };
+    });
+    return genome;
+  },
+
+  // ==========================================
+  // STRAIN RETRIEVAL - Registered or inline packs
+  // (Technical: Registry values are JSON URLs or pack objects; fetched once)
+  // ==========================================
+
+  requested() {
+    const fromUrl = new URLSearchParams(window.location.search).get('theme');
+    const fromAttribute = document.documentElement.dataset.theme;
+    return fromUrl || fromAttribute || CONFIG.themes.default || 'default';
+  },
+
+  register(name, pack) {
+    CONFIG.themes.registry[name] = pack;
+    delete this.packs[name];
+  },
+
+  async load(name) {
+    if (this.packs[name]) return this.packs[name];
+
+    const entry = CONFIG.themes.registry[name];
+    if (!entry) throw new Error(`Unknown theme "${name}"`);
+
+    let pack = entry;
+    if (typeof entry === 'string') {
+      const response = await fetch(entry);
+      if (!response.ok) {
+        throw new Error(`${entry}: HTTP ${response.status}`);
+      }
+      pack = await response.json();
+    }
+
+    this.validate(pack, name);
+    this.packs[name] = pack;
+    return pack;
+  },
+
+  validate(pack, name) {
+    // REJECTION - Only visual tables may be grafted
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      throw new Error(`Theme "${name}" is not a pack object`);
+    }
+    const foreign = Object.keys(pack).filter(key => !this.tables.includes(key) && key !== 'name' && key !== 'description');
+    if (foreign.length > 0) {
+      console.warn(`🎨 Theme "${name}" ignores unknown tables: ${foreign.join(', ')}`);
+    }
+  },
+
+  // ==========================================
+  // PIGMENT SHIFT - Switch packs
+  // (Technical: Resolve, compose, then cross-fade or swap at once)
+  // ==========================================
+
+  async apply(theme, options = {}) {
+    let name = theme;
+    let pack = {};
+
+    if (theme && typeof theme === 'object') {
+      name = theme.name || 'custom';
+      this.validate(theme, name);
+      pack = theme;
+    } else if (theme !== 'default') {
+      try {
+        pack = await this.load(theme);
+      } catch (error) {
+        console.warn(`🎨 ${error.message} - keeping "${this.active}"`);
+        return false;
+      }
+    }
+
+    if (!this.base) this.base = this.capture();
+
+    const calm = typeof accessibility !== 'undefined' && accessibility.calm;
+    const duration = calm ? 0 : (options.duration ?? CONFIG.themes.crossfade);
+
+    this.active = name;
+    this.blend(this.anchorBeams(this.capture()), this.anchorBeams(this.compose(pack)), duration);
+    return true;
+  },
+
+  // ==========================================
+  // CROSS-FADE - Genome to genome
+  // (Technical: Every RGB triple through interpolateColor, every number
+  //  through interpolateValue; anything else switches at the end)
+  // ==========================================
+
+  mix(from, to, progress) {
+    if (typeof to === 'number' && typeof from === 'number') {
+      return interpolateValue(from, to, progress);
+    }
+    if (!to || typeof to !== 'object' || !from || typeof from !== 'object') {
+      return progress < 1 ? (from ?? to) : to;
+    }
+    if (['r', 'g', 'b'].every(channel => typeof to[channel] === 'number' && typeof from[channel] === 'number')) {
+      return interpolateColor(from, to, progress);
+    }
+
+    const mixed = {};
+    Object.keys(to).forEach(key => {
+      mixed[key] = key in from ? this.mix(from[key], to[key], progress) : to[key];
+    });
+    return mixed;
+  },
+
+  blend(from, to, duration) {
+    cancelAnimationFrame(this.frame);
+
+    if (duration <= 0) {
+      this.fade = null;
+      this.express(to);
+      return;
+    }
+
+    this.fade = { from, to, start: performance.now(), duration };
+
+    const step = now => {
+      const progress = Math.min((now - this.fade.start) / this.fade.duration, 1);
+      this.express(this.mix(this.fade.from, this.fade.to, progress));
+
+      if (progress < 1) {
+        this.frame = requestAnimationFrame(step);
+      } else {
+        this.fade = null;
+      }
+    };
+    this.frame = requestAnimationFrame(step);
+  },
+
+  subscribe(callback) {
+    // PIGMENT PATHWAY - Connect an organ
+    // (Technical: callback(name) on every genome change, each cross-fade frame included)
+    this.listeners.push(callback);
+  },
+
+  // ==========================================
+  // ACTIVATION
+  // (Technical: Snapshot after the book's overrides, then wear the requested pack)
+  // ==========================================
+
+  async init() {
+    this.base = this.capture();
+
+    const requested = this.requested();
+    if (requested !== 'default') {
+      await this.apply(requested, { duration: 0 });
+    }
+  }
+};
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof CONFIG === 'undefined') {
+  console.error('❌ themes.js requires config.js');
+}
+if (typeof bookshelf === 'undefined') {
+  console.error('❌ themes.js requires bookshelf.js');
+}
@@ -0,0 +1,234 @@
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: MEMBRANE CIPHER
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational - multi-credential variant
+ * FUNCTION: Verifies passphrases and unseals the screens each one grants
+ * DEPENDENCIES: book-of-thresholds.js (lock + credentials), Web Crypto (SubtleCrypto)
+ *
+ * SURGICAL NOTES:
+ * The membrane used to carry its passphrase in cleartext - any reader
+ * who viewed source walked straight through. The book now carries only
+ * a salted PBKDF2-SHA256 verifier per credential and an AES-GCM sealed
+ * payload per credential.
+ *
+ * One PBKDF2 derivation (shared salt in metadata.lock) yields 512 bits:
+ * - first half:  verifier, compared against every credential's verifier
+ * - second half: AES-GCM key that opens the matching credential's payload
+ *
+ * Each payload holds only what its credential grants:
+ *   { grants: [screen ids], reward: screen id | null, metadata: {...}, screens: [...] }
+ * A recruiter passphrase cannot decrypt the archive's fragments - they
+ * are simply not in its payload.
+ *
+ * The same organ is grafted into tools/seal-book.js (Node) to produce
+ * the sealed book, so both sides always agree on the derivation.
+ * ============================================
+ */
+
+const thresholdCipher = {
+
+  // ==========================================
+  // CIPHER STATE
+  // (Technical: Derivation cache and the key that opened the book)
+  // ==========================================
+
+  iterations: 600000,      // PBKDF2 rounds for newly sealed books
+  attempts: new Map(),     // passphrase → in-flight verification (shared by concurrent callers)
+  rawKey: null,            // Base64 AES key after a successful unlock
+  credential: null,        // { id, grants, reward } of the admitted reader
+
+  // ==========================================
+  // ENCODING GLANDS - Bytes ↔ text
+  // (Technical: Base64 helpers usable in browsers and Node)
+  // ==========================================
+
+  toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  },
+
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  },
+
+  subtle() {
+    return globalThis.crypto.subtle;
+  },
+
+  // ==========================================
+  // DERIVATION - Passphrase to verifier + key
+  // (Technical: PBKDF2-SHA256, 512 bits split in two)
+  // ==========================================
+
+  async derive(passphrase, lock) {
+    const material = await this.subtle().importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await this.subtle().deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromBase64(lock.salt), iterations: lock.iterations },
+      material,
+      512
+    );
+    const bytes = new Uint8Array(bits);
+
+    return { verifier: bytes.slice(0, 32), keyBytes: bytes.slice(32) };
+  },
+
+  importKey(keyBytes) {
+    return this.subtle().importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+  },
+
+  // ==========================================
+  // VERIFICATION - Which credential is this?
+  // (Technical: Resolves to { credential, keyBytes } on match, null otherwise; concurrent calls share one derivation)
+  // ==========================================
+
+  credentials(book = bookContent) {
+    return book.metadata.credentials || [];
+  },
+
+  matches(encoded, verifier) {
+    // CONSTANT-TIME COMPARISON - No timing tells
+    const expected = this.fromBase64(encoded);
+    let difference = expected.length ^ verifier.length;
+    for (let i = 0; i < expected.length; i++) {
+      difference |= expected[i] ^ verifier[i];
+    }
+    return difference === 0;
+  },
+
+  verify(passphrase, book = bookContent) {
+    const lock = book.metadata.lock;
+    if (!lock) return Promise.resolve(null);
+
+    const cacheKey = `${lock.salt}:${passphrase}`;
+    if (!this.attempts.has(cacheKey)) {
+      // Shared only while pending - a settled (or failed) derivation is forgotten,
+      // so no typed passphrase lingers and a retry derives afresh
+      const attempt = this.derive(passphrase, lock).then(({ verifier, keyBytes }) => {
+        const credential = this.credentials(book).find(entry => this.matches(entry.verifier, verifier));
+        return credential ? { credential, keyBytes } : null;
+      });
+      const forget = () => this.attempts.delete(cacheKey);
+      attempt.then(forget, forget);
+      this.attempts.set(cacheKey, attempt);
+    }
+    return this.attempts.get(cacheKey);
+  },
+
+  // ==========================================
+  // SEALING - Encrypt / decrypt payloads
+  // (Technical: AES-GCM, 96-bit random IV, JSON payload)
+  // ==========================================
+
+  async seal(payload, keyBytes) {
+    const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.importKey(keyBytes);
+    const data = await this.subtle().encrypt(
+      { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(payload))
+    );
+
+    return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+  },
+
+  async open(sealed, keyBytes) {
+    const key = await this.importKey(keyBytes);
+    const data = await this.subtle().decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(sealed.iv) }, key, this.fromBase64(sealed.data)
+    );
+
+    return JSON.parse(new TextDecoder().decode(data));
+  },
+
+  createLock(iterations = this.iterations) {
+    // LOCK FORGING - Build-time only
+    // (Technical: Fresh shared salt for tools/seal-book.js)
+    const salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+    return { algorithm: 'PBKDF2-SHA256', iterations, salt: this.toBase64(salt) };
+  },
+
+  async forgeCredential(passphrase, lock, payload) {
+    // KEY CUTTING - One credential against the shared lock
+    // (Technical: Verifier + sealed payload for tools/seal-book.js)
+    const { verifier, keyBytes } = await this.derive(passphrase, lock);
+    return { verifier: this.toBase64(verifier), sealed: await this.seal(payload, keyBytes) };
+  },
+
+  // ==========================================
+  // UNSEALING - Open the book
+  // (Technical: Decrypt the matching credential's payload and merge it into bookContent)
+  // ==========================================
+
+  async unlock(passphrase, book = bookContent) {
+    const match = await this.verify(passphrase, book);
+    if (!match) return false;
+
+    try {
+      const payload = await this.open(match.credential.sealed, match.keyBytes);
+      this.admit(book, match.credential, payload, this.toBase64(match.keyBytes));
+      return true;
+    } catch (error) {
+      // Tampered payload - membrane stays shut
+      return false;
+    }
+  },
+
+  async unlockWithKey(rawKey, book = bookContent) {
+    // REMEMBERED KEY - Reopen without re-deriving
+    // (Technical: Used by memory.js; AES-GCM authentication picks the credential, a stale key fits none)
+    if (!rawKey) return false;
+
+    for (const credential of this.credentials(book)) {
+      try {
+        const payload = await this.open(credential.sealed, this.fromBase64(rawKey));
+        this.admit(book, credential, payload, rawKey);
+        return true;
+      } catch (error) {
+        // Not this credential's key - try the next
+      }
+    }
+    return false;
+  },
+
+  admit(book, credential, payload, rawKey) {
+    // MEMBRANE PASSAGE - Graft the granted tier onto the book
+    // (Technical: Merge screens and metadata overrides, record grants)
+    const known = new Set(book.screens.map(screen => screen.id));
+
+    payload.screens.forEach(screen => {
+      if (!known.has(screen.id)) book.screens.push(screen);
+    });
+    book.screens.sort((a, b) => a.id - b.id);
+    Object.assign(book.metadata, payload.metadata || {});
+
+    this.rawKey = rawKey;
+    this.credential = {
+      id: credential.id,
+      grants: payload.grants || payload.screens.map(screen => screen.id),
+      reward: payload.reward ?? null
+    };
+  }
+};
+
+// ==========================================
+// DUAL HOST - Browser global or Node module
+// (Technical: tools/seal-book.js requires this file)
+// ==========================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = thresholdCipher;
+}
+
+// ==========================================
+// DEPENDENCY VERIFICATION
+// (Technical: Check required organs present)
+// ==========================================
+
+if (typeof globalThis.crypto === 'undefined' || !globalThis.crypto.subtle) {
+  console.error('❌ threshold-cipher.js requires Web Crypto (serve over https or localhost)');
+}
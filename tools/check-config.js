@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: GENETIC PROOFREADER (build-time)
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Validates config.js, every book's overrides and every theme pack
+ * DEPENDENCIES: Node 18+, config-schema.js, bookshelf.js (mergeInto)
+ *
+ * USAGE:
+ *   node tools/check-config.js [config]
+ *
+ *   config  defaults to config.js
+ *
+ * CHECKS:
+ *   1. the genome as written (config-schema.js schema + rules)
+ *   2. the genome as each CONFIG.books entry grafts it (entry.config)
+ *   3. the genome as each CONFIG.themes pack recolors it
+ *   4. every literal CONFIG.path read by the organs (root *.js and
+ *      index.html) resolves - a consumer reading a key the genome never
+ *      had is reported with file and line, not silently defaulted
+ *
+ * Exits 1 when anything fails.
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const configSchema = require('../config-schema.js');
+
+const root = path.join(__dirname, '..');
+const configPath = path.resolve(root, process.argv[2] || 'config.js');
+
+// ==========================================
+// GENOME EXTRACTION - Evaluate config.js
+// (Technical: Classic script, so run it in a fresh context; bookshelf.js
+//  joins the context for its mergeInto graft)
+// ==========================================
+
+function readConfig() {
+  const context = { console, URLSearchParams, location: { search: '', hash: '' } };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(configPath, 'utf8'), context, { filename: configPath });
+  vm.runInContext(fs.readFileSync(path.join(root, 'bookshelf.js'), 'utf8'), context);
+  return vm.runInContext('({ CONFIG, bookshelf })', context);
+}
+
+function graft(CONFIG, bookshelf, overrides) {
+  // Fresh copy per variant; helpers stay attached for the rules
+  const copy = bookshelf.mergeInto({}, JSON.parse(JSON.stringify(CONFIG)));
+  Object.entries(CONFIG).forEach(([key, value]) => {
+    if (typeof value === 'function') copy[key] = value;
+  });
+  copy.stages.graph = CONFIG.stages.graph; // Branch conditions are functions
+  return bookshelf.mergeInto(copy, overrides);
+}
+
+// ==========================================
+// CONSUMER AUDIT - Literal CONFIG paths in the organs
+// (Technical: CONFIG.a.b?.c chains up to the first bracket or call;
+//  keys filled in at runtime must already exist in config.js)
+// ==========================================
+
+function auditReads(CONFIG) {
+  const errors = [];
+  // The genome and its proofreader are not consumers
+  const files = fs.readdirSync(root)
+    .filter(file => /\.(js|html)$/.test(file) && file !== 'config.js' && file !== 'config-schema.js');
+
+  files.forEach(file => {
+    const lines = fs.readFileSync(path.join(root, file), 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      for (const match of line.matchAll(/\bCONFIG((?:\??\.[A-Za-z_$][\w$]*)+)/g)) {
+        const keys = match[1].split(/\??\./).filter(Boolean);
+        let node = CONFIG;
+        let trail = 'CONFIG';
+
+        for (const key of keys) {
+          if (node === null || typeof node !== 'object' && typeof node !== 'function') break;
+          if (!(key in node)) {
+            const known = Object.keys(node);
+            const hint = configSchema.suggest(key, known) || (known.length <= 8 ? ` (${trail} has ${known.join(', ')})` : '');
+            errors.push(`${file}:${index + 1}: ${trail}.${key} does not exist${hint}`);
+            break;
+          }
+          node = node[key];
+          trail += `.${key}`;
+        }
+      }
+    });
+  });
+  return errors;
+}
+
+// ==========================================
+// PROOFREADING RUN
+// ==========================================
+
+function main() {
+  const { CONFIG, bookshelf } = readConfig();
+  const results = [['config.js', configSchema.validate(CONFIG)]];
+
+  Object.entries(CONFIG.books.registry).forEach(([name, entry]) => {
+    if (entry.config) {
+      results.push([`book "${name}"`, configSchema.validate(graft(CONFIG, bookshelf, entry.config))]);
+    }
+  });
+
+  Object.entries(CONFIG.themes.registry).forEach(([name, entry]) => {
+    let pack = entry;
+    try {
+      if (typeof entry === 'string') pack = JSON.parse(fs.readFileSync(path.resolve(root, entry), 'utf8'));
+    } catch (error) {
+      results.push([`theme "${name}"`, [`${entry}: ${error.message}`]]);
+      return;
+    }
+    const { name: packName, description, ...tables } = pack;
+    results.push([`theme "${name}"`, configSchema.validate(graft(CONFIG, bookshelf, tables))]);
+  });
+
+  results.push(['CONFIG reads', auditReads(CONFIG)]);
+
+  let failed = 0;
+  results.forEach(([label, errors]) => {
+    if (errors.length === 0) {
+      console.log(`✔ ${label}`);
+      return;
+    }
+    failed += errors.length;
+    console.error(`❌ ${label} (${errors.length}):\n  ${errors.join('\n  ')}`);
+  });
+
+  if (failed > 0) process.exit(1);
+  console.log('🧬 Genome valid');
+}
+
+main();
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * ============================================
+ * SPECIMEN: LEAK-WORM-847T
+ * ORGAN: SEALING GLAND (build-time)
+ * RETRIEVAL: November 2025, Tlönian Research Facility
+ * ============================================
+ *
+ * STATUS: Operational
+ * FUNCTION: Produces the sealed book-of-thresholds.js from a plaintext source
+ * DEPENDENCIES: Node 18+ (global Web Crypto), threshold-cipher.js
+ *
+ * USAGE:
+ *   node tools/seal-book.js [source] [output]
+ *
+ *   source  defaults to _sources/book-of-thresholds.js (gitignored plaintext)
+ *           - a .js file declaring bookContent, or
+ *           - a book.json manifest with Markdown screens (see book-loader.js)
+ *   output  defaults to book-of-thresholds.js
+ *           - .js   script declaring the sealed bookContent
+ *           - .json sealed manifest for CONFIG.content.manifest (Markdown kept,
+ *                   rendered by the browser on first view)
+ *
+ * CREDENTIALS (source metadata):
+ *   password: "...",                 shorthand - one credential granting every screen
+ *   credentials: [
+ *     { id: "recruiter", password: "...", grants: [1, 2], reward: 9 },
+ *     { id: "archive", password: "...", book: "archive-book.js" }
+ *   ]
+ *
+ *   grants  screen ids this passphrase reveals (default: every gated screen)
+ *   reward  reward screen id shown in pirate mode (default: first granted reward)
+ *   book    another plaintext book (relative to the source) served instead;
+ *           its screens and metadata replace this book's for that reader
+ *
+ * BOOK_PASSPHRASE overrides the shorthand password. Passphrases never reach
+ * the output: the sealed book carries metadata.lock (shared salt) plus one
+ * verifier and one AES-GCM payload per credential, holding only the
+ * screens that credential grants.
+ * ============================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const thresholdCipher = require('../threshold-cipher.js');
+const bookLoader = require('../book-loader.js');
+
+const root = path.join(__dirname, '..');
+const sourcePath = path.resolve(root, process.argv[2] || '_sources/book-of-thresholds.js');
+const outputPath = path.resolve(root, process.argv[3] || 'book-of-thresholds.js');
+
+// ==========================================
+// SOURCE EXTRACTION - Read the plaintext book
+// (Technical: Evaluate the classic script, or validate a manifest and inline its Markdown)
+// ==========================================
+
+function readManifest(file) {
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = bookLoader.validate(manifest);
+
+  if (errors.length > 0) {
+    throw new Error(`${path.relative(root, file)} invalid:\n${errors.join('\n')}`);
+  }
+
+  const book = bookLoader.createBook(manifest, null);
+  book.screens.forEach(screen => {
+    if (screen.file !== undefined) {
+      screen.markdown = fs.readFileSync(path.resolve(path.dirname(file), screen.file), 'utf8');
+      delete screen.file;
+    }
+  });
+  return { book, header: '' };
+}
+
+function readBook(file) {
+  if (file.endsWith('.json')) return readManifest(file);
+
+  const source = fs.readFileSync(file, 'utf8');
+  const header = source.match(/^\/\*\*[\s\S]*?\*\//);
+
+  return {
+    book: vm.runInNewContext(`${source}\n;bookContent`, {}, { filename: file }),
+    header: header ? header[0] : ''
+  };
+}
+
+// ==========================================
+// SERIALIZATION - Object back to script text
+// (Technical: JSON with identifier keys unquoted, 2-space indent)
+// ==========================================
+
+function serialize(value) {
+  return JSON.stringify(value, null, 2).replace(/^(\s*)"([A-Za-z_$][\w$]*)":/gm, '$1$2:');
+}
+
+function sealedHeader(header) {
+  const notice = [
+    ' * SEALED BUILD - generated by tools/seal-book.js, do not edit by hand.',
+    ' * Gated screens live in metadata.credentials[].sealed (AES-GCM); see threshold-cipher.js.',
+    ' * '
+  ].join('\n');
+
+  return header
+    .split('\n')
+    .filter(line => !/PLAINTEXT SOURCE|Seal with:|encrypted with metadata\.password/.test(line))
+    .join('\n')
+    .replace(/( \* \n)+/g, ' * \n')
+    .replace(/( \* SURGICAL NOTES:)/, `${notice}\n$1`);
+}
+
+async function main() {
+  const { book, header } = readBook(sourcePath);
+
+  // LOCK + SEAL - Gate stays readable, every tier is encrypted separately
+  // (Technical: Tier assembly lives in book-loader.js, shared with the writer preview)
+  const sealedBook = await bookLoader.seal(book, {
+    password: process.env.BOOK_PASSPHRASE,
+    loadBook: async name => readBook(path.resolve(path.dirname(sourcePath), name)).book,
+    onCredential: (entry, payload) => console.log(`  ${entry.id}: ${payload.screens.length} screen(s)`)
+  });
+
+  // ROUND TRIP - Refuse to write a book that cannot be opened
+  for (const entry of bookLoader.credentialEntries(book, process.env.BOOK_PASSPHRASE)) {
+    const match = await thresholdCipher.verify(entry.password, sealedBook);
+    if (!match || match.credential.id !== entry.id) {
+      throw new Error(`verification round trip failed for "${entry.id}" (duplicate passphrase?)`);
+    }
+  }
+
+  const { metadata, screens: gate } = sealedBook;
+  const credentials = metadata.credentials;
+
+  if (outputPath.endsWith('.json')) {
+    fs.writeFileSync(outputPath, `${JSON.stringify({ metadata, screens: gate }, null, 2)}\n`);
+    console.log(`🔒 Sealed ${credentials.length} credential(s) into ${path.relative(root, outputPath)}`);
+    return;
+  }
+
+  const output = `${sealedHeader(header)}
+
+const bookContent = {
+
+  metadata: ${serialize(metadata).replace(/\n/g, '\n  ')},
+
+  screens: ${serialize(gate).replace(/\n/g, '\n  ')},
+
+  getScreen: function(id) {
+    return this.screens.find(screen => screen.id === id);
+  },
+};
+`;
+
+  fs.writeFileSync(outputPath, output);
+  console.log(`🔒 Sealed ${credentials.length} credential(s) into ${path.relative(root, outputPath)}`);
+}
+
+main().catch(error => {
+  console.error('❌ seal-book:', error);
+  process.exit(1);
+});